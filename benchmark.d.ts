@@ -0,0 +1,7 @@
+import JSZM = require("./index");
+
+/**
+ * Runs a story file with an array of commands, using the given JSZM class, as many times as runs (default 5), and returns
+ * the time taken by the fastest run in milliseconds.
+ */
+export function benchmark(jszm: typeof JSZM, story: ArrayLike<number>, commands: string[], runs?: number): number;
@@ -0,0 +1,80 @@
+/*
+  Benchmark for JSZM
+  This program is in public domain.
+
+  Documentation:
+
+  From the command line:
+
+    node benchmark.js [--runs=number] [--compare=file] storyfile [script]
+
+  runs the story file several times (5 unless --runs is given) with the
+  commands of the script, and prints the time taken by the fastest run. A
+  script is a text file with one command on each line, as for
+  transcript.js; without one, the game is given the command "look" a
+  hundred times. With --compare, another version of jszm.js is run in the
+  same way, and the speedup of this one over it is shown too.
+
+  As a module, it exports this function:
+
+  .benchmark(JSZM,story,commands,runs) = Run a story file (a Uint8Array)
+  with an array of commands, using the given JSZM class, as many times as
+  runs (default 5), and return the time taken by the fastest run in
+  milliseconds. The random number generator is seeded with 0, and nothing
+  which the game prints is kept.
+*/
+
+"use strict";
+
+function benchmark(JSZM, story, commands, runs = 5) {
+  class EndOfScript {}
+  let best = Infinity;
+  for (let run = 0; run < runs; run++) {
+    const game = new JSZM(story, {randomSeed: 0});
+    let line = 0;
+    const next = () => {
+      if (line >= commands.length)
+        throw new EndOfScript();
+      return commands[line++];
+    };
+    game.read = next;
+    game.readChar = () => next()[0] || "\n";
+    const start = process.hrtime.bigint();
+    try {
+      for (const _ of game.run());
+    } catch (e) {
+      if (!(e instanceof EndOfScript))
+        throw e;
+    }
+    best = Math.min(best, Number(process.hrtime.bigint() - start) / 1e6);
+  }
+  return best;
+}
+
+if (typeof require !== "undefined" && require.main === module) {
+  const fs = require("fs");
+  const path = require("path");
+  const args = process.argv.slice(2);
+  const runsArg = args.find(x => x.startsWith("--runs="));
+  const compareArg = args.find(x => x.startsWith("--compare="));
+  const [storyFile, script] = args.filter(x => !x.startsWith("--"));
+  if (!storyFile) {
+    process.stderr.write("Usage: node benchmark.js [--runs=number] [--compare=file] storyfile [script]\n");
+    process.exit(2);
+  }
+  const story = new Uint8Array(fs.readFileSync(storyFile));
+  const commands = script ?
+    fs.readFileSync(script, "utf8").split(/\r?\n/).filter((x, i, lines) => !x.startsWith("#") && (x || i < lines.length - 1)) :
+    Array(100).fill("look");
+  const runs = runsArg ? +runsArg.slice(7) : 5;
+  const time = benchmark(require("./jszm.js"), story, commands, runs);
+  process.stdout.write("jszm.js: " + time.toFixed(1) + " ms\n");
+  if (compareArg) {
+    const file = compareArg.slice(10);
+    const other = benchmark(require(path.resolve(file)), story, commands, runs);
+    process.stdout.write(file + ": " + other.toFixed(1) + " ms\n" +
+                         "Speedup: " + (other / time).toFixed(2) + "x\n");
+  }
+}
+
+module.exports = {benchmark: benchmark};
@@ -0,0 +1,19 @@
+export interface PlayOptions {
+    /** The stream to read the player's input from, normally process.stdin. */
+    input?: any;
+
+    /** The stream to write the game's output to, normally process.stdout. */
+    output?: any;
+
+    /** The default name of save files, normally "save.qzl". */
+    saveName?: string;
+
+    /** The seed for the random number generator. */
+    seed?: number;
+
+    /** The name of a file to write everything printed in the lower window and every command to. */
+    transcript?: string | null;
+}
+
+/** Plays a story file in the terminal. The Promise is resolved when the game ends, by quitting or at the end of the input. */
+export function play(story: ArrayLike<number>, options?: PlayOptions): Promise<void>;
@@ -0,0 +1,355 @@
+#!/usr/bin/env node
+/*
+  Terminal interpreter for JSZM
+  This program is in public domain.
+
+  Documentation:
+
+  From the command line:
+
+    jszm [--seed=number] [--transcript=file] storyfile
+
+  (or node cli.js, if it is not installed) plays a story file in the
+  terminal. The text is word wrapped to the width of the terminal, and
+  [MORE] is shown when a screenful has been printed since the player last
+  typed anything; press any key to continue. The status line and the
+  upper window are drawn with ANSI escape codes. The up and down arrow
+  keys go through the commands entered before. When the game saves or
+  restores, it asks for the name of the file; the default is the name of
+  the story file with the extension .qzl, or the last file saved to or
+  restored from. With --transcript, everything printed in the lower
+  window and every command is also written to the file. With --seed, the
+  random number generator is seeded with the number, so that the game is
+  the same every time it is played in the same way. The game ends at the
+  end of the input (Ctrl-D) or with Ctrl-C.
+
+  If the input or output is not a terminal, for example if the commands
+  are piped in, there is no word wrapping, paging, status line or upper
+  window. A single key is then read as the first character of a line, and
+  the commands are copied to the output.
+
+  As a module, it exports this function:
+
+  .play(story,options) = Play a story file (a Uint8Array). The options are
+  input and output (streams, normally process.stdin and process.stdout),
+  seed, transcript (the name of the file) and saveName (the default name
+  of save files, normally "save.qzl"). It returns a Promise which is
+  resolved when the game ends, by quitting or at the end of the input.
+*/
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+const JSZM = require("./jszm.js");
+
+// ZSCII codes of keys which are not characters, by the names which readline gives them
+const terminalKeys = {
+  backspace: 8, delete: 8, return: 13, enter: 13, escape: 27, up: 129, down: 130, left: 131, right: 132,
+  f1: 133, f2: 134, f3: 135, f4: 136, f5: 137, f6: 138, f7: 139, f8: 140, f9: 141, f10: 142, f11: 143, f12: 144
+};
+
+// Thrown by the input functions to stop the game when the input ends
+class EndOfInput {}
+
+function play(story, options = {}) {
+  const input = options.input || process.stdin, output = options.output || process.stdout;
+  const ansi = !!(input.isTTY && output.isTTY);
+  const game = new JSZM(story, typeof options.seed === "number" ? {randomSeed: options.seed} : {});
+  const transcript = options.transcript ? fs.openSync(options.transcript, "w") : null;
+  const history = [];
+  let saveName = options.saveName || "save.qzl";
+  let columns = output.columns || 80, rows = output.rows || 24;
+  let column = 0, currentLine = "", linesShown = 0;   // In the lower window, since the last input
+  let statusRows = 0, upperRows = 0, upperCursor = [1, 1];
+
+  const write = (text) => output.write(text);
+  const log = (text) => {
+    if (transcript !== null)
+      fs.writeSync(transcript, text);
+  };
+  const lowerTop = () => statusRows + upperRows + 1;
+  const clearRows = (first, last) => {
+    let text = "\x1b7";
+    for (let row = first; row <= last; row++)
+      text += "\x1b[" + row + ";1H\x1b[K";
+    write(text + "\x1b8");
+  };
+  const interrupt = () => {
+    finish();
+    process.exit(130);
+  };
+  const resize = () => {
+    columns = output.columns || 80;
+    rows = output.rows || 24;
+  };
+
+  // Input; when the input is not a terminal, one readline interface gives all of the lines
+  const lines = [], waiting = [];
+  let ended = false, lineReader = null;
+  if (!ansi) {
+    lineReader = readline.createInterface({input: input});
+    lineReader.on("line", (line) => waiting.length ? waiting.shift()(line) : lines.push(line));
+    lineReader.on("close", () => {
+      ended = true;
+      while (waiting.length)
+        waiting.shift()(null);
+    });
+  }
+
+  // Resolves to the line entered, or null at the end of the input
+  const readLine = (prompt, remember) => {
+    if (!ansi)
+      return lines.length ? Promise.resolve(lines.shift()) : ended ? Promise.resolve(null) : new Promise(resolve => waiting.push(resolve));
+    return new Promise((resolve) => {
+      const rl = readline.createInterface({input: input, output: output, terminal: true, history: remember ? history : []});
+      let answered = false;
+      rl.on("SIGINT", () => rl.close());
+      rl.on("close", () => {
+        if (!answered)
+          resolve(null);
+      });
+      rl.question(prompt, (line) => {
+        answered = true;
+        rl.close();
+        resolve(line);
+      });
+    });
+  };
+
+  // Resolves to a key as a string or a ZSCII code, or null for Ctrl-C or Ctrl-D
+  const readKey = () => {
+    if (!ansi)
+      return readLine().then(line => line === null ? null : line[0] || "\n");
+    return new Promise((resolve) => {
+      const keypress = (str, key) => {
+        const name = key && key.name;
+        const result = key && key.ctrl && (name == "c" || name == "d") ? null :
+                       name in terminalKeys ? terminalKeys[name] : str && str.length == 1 ? str : undefined;
+        if (typeof result === "undefined")
+          return;
+        input.removeListener("keypress", keypress);
+        input.setRawMode(false);
+        input.pause();
+        resolve(result);
+      };
+      readline.emitKeypressEvents(input);
+      input.setRawMode(true);
+      input.resume();
+      input.on("keypress", keypress);
+    });
+  };
+
+  // Ask for the name of a save file
+  const askFile = async (question) => {
+    if (column)
+      await newline();
+    const prompt = question + " [" + saveName + "]: ";
+    if (!ansi)
+      write(prompt);
+    const answer = await readLine(prompt, false);
+    if (answer === null)
+      throw new EndOfInput();
+    if (!input.isTTY)
+      write(answer + "\n");
+    linesShown = 0;
+    return answer.trim() || saveName;
+  };
+
+  // Output in the lower window, with word wrapping and paging
+  const emit = (text) => {
+    write(text);
+    column += text.length;
+    currentLine += text;
+  };
+  const newline = async () => {
+    write("\n");
+    column = 0;
+    currentLine = "";
+    if (ansi && ++linesShown >= rows - lowerTop()) {
+      write("\x1b[7m[MORE]\x1b[0m");
+      const key = await readKey();
+      write("\r\x1b[K");
+      if (key === null)
+        throw new EndOfInput();
+      linesShown = 0;
+    }
+  };
+  const wrap = async (text) => {
+    const width = ansi ? columns - 1 : Infinity;
+    while (column + text.length > width) {
+      const space = text.lastIndexOf(" ", width - column);
+      if (space > 0 || (space == 0 && column)) {
+        emit(text.slice(0, space));
+        text = text.slice(space + 1);
+      } else if (!column) {                           // A word longer than the line is split
+        emit(text.slice(0, width));
+        text = text.slice(width);
+      }
+      await newline();
+    }
+    emit(text);
+  };
+
+  // Output in the upper window, at the cursor
+  const printUpper = (text) => {
+    text.split("\n").forEach((part, i) => {
+      if (i)
+        upperCursor = [upperCursor[0] + 1, 1];
+      const [line, col] = upperCursor;
+      if (line <= upperRows && part && col <= columns)
+        write("\x1b7\x1b[" + (statusRows + line) + ";" + col + "H" + part.slice(0, columns - col + 1) + "\x1b8");
+      upperCursor = [line, col + part.length];
+    });
+  };
+
+  game.screenWidth = Math.min(columns, 255);
+  game.screenHeight = ansi ? Math.min(rows, 255) : 255;
+  game.print = async (text) => {
+    if (game.window == 1 && ansi)
+      return printUpper(text);
+    log(text);
+    const parts = text.split("\n");
+    for (let i = 0; i < parts.length; i++) {
+      if (i)
+        await newline();
+      await wrap(parts[i]);
+    }
+  };
+  game.read = async () => {
+    if (ansi)
+      write("\r\x1b[K");                              // Readline shows the prompt again
+    const line = await readLine(currentLine, true);
+    if (line === null)
+      throw new EndOfInput();
+    if (!input.isTTY)
+      write(line + "\n");
+    column = 0;
+    currentLine = "";
+    linesShown = 0;
+    log(line + "\n");
+    return line;
+  };
+  game.readChar = async () => {
+    const key = await readKey();
+    if (key === null)
+      throw new EndOfInput();
+    linesShown = 0;
+    return key;
+  };
+  game.save = async (buf) => {
+    const name = await askFile("Save to file");
+    try {
+      fs.writeFileSync(name, buf);
+      saveName = name;
+      return true;
+    } catch (e) {
+      await game.print(e.message + "\n");
+      return false;
+    }
+  };
+  game.restore = async () => {
+    const name = await askFile("Restore from file");
+    try {
+      const data = new Uint8Array(fs.readFileSync(name));
+      saveName = name;
+      return data;
+    } catch (e) {
+      await game.print(e.message + "\n");
+      return null;
+    }
+  };
+  if (ansi) {
+    game.eraseLine = (value) => {
+      const [line, col] = upperCursor;
+      if (value == 1 && game.window == 1 && line <= upperRows)
+        write("\x1b7\x1b[" + (statusRows + line) + ";" + col + "H\x1b[K\x1b8");
+    };
+    game.eraseWindow = (window) => {
+      if (window == -1)
+        game.split(0);
+      if (window == 1 || window < 0) {
+        clearRows(statusRows + 1, statusRows + upperRows);
+        upperCursor = [1, 1];
+      }
+      if (window == 0 || window < 0) {
+        clearRows(lowerTop(), rows);
+        write("\x1b[" + (game.version >= 5 ? lowerTop() : rows) + ";1H");
+        column = 0;
+        currentLine = "";
+        linesShown = 0;
+      }
+    };
+    game.getCursor = () => upperCursor;
+    game.screen = (window) => {
+      if (window == 1 && game.version >= 4)
+        upperCursor = [1, 1];
+    };
+    game.setCursor = (line, col) => {
+      if (game.window == 1)
+        upperCursor = [line, col];
+    };
+    game.setTextStyle = (style) => {
+      write("\x1b[0" + (style & 1 ? ";7" : "") + (style & 2 ? ";1" : "") + (style & 4 ? ";3" : "") + "m");
+    };
+    game.split = (height) => {
+      upperRows = Math.max(0, Math.min(height, rows - statusRows - 1));
+      write("\x1b7\x1b[" + lowerTop() + ";" + rows + "r\x1b8");
+      if (game.version < 4)
+        clearRows(statusRows + 1, statusRows + upperRows);
+    };
+    game.updateStatusLine = (text, v18, v17) => {
+      const right = game.statusType ?
+        ((v17 + 11) % 12 + 1) + ":" + String(v18).padStart(2, "0") + (v17 < 12 ? " AM" : " PM") :
+        "Score: " + v17 + "  Moves: " + v18;
+      const line = (" " + text).slice(0, Math.max(0, columns - right.length - 2)).padEnd(columns - right.length - 1) + right + " ";
+      write("\x1b7\x1b[1;1H\x1b[7m" + line.slice(0, columns) + "\x1b[0m\x1b8");
+    };
+    if (game.version < 4)
+      statusRows = 1;
+    output.on("resize", resize);
+    process.on("SIGINT", interrupt);
+    write("\x1b[2J\x1b[" + lowerTop() + ";" + rows + "r\x1b[" + (game.version >= 5 ? lowerTop() : rows) + ";1H");
+  }
+
+  const finish = () => {
+    if (ansi) {
+      output.removeListener("resize", resize);
+      process.removeListener("SIGINT", interrupt);
+      write("\x1b[0m\x1b[r\x1b[" + rows + ";1H\n");
+    } else if (column) {
+      write("\n");
+    }
+    if (lineReader !== null)
+      lineReader.close();
+    if (transcript !== null)
+      fs.closeSync(transcript);
+  };
+  return game.runAsync().then(finish, (e) => {
+    finish();
+    if (!(e instanceof EndOfInput))
+      throw e;
+  });
+}
+
+if (typeof require !== "undefined" && require.main === module) {
+  const args = process.argv.slice(2);
+  const seedArg = args.find(x => x.startsWith("--seed="));
+  const transcriptArg = args.find(x => x.startsWith("--transcript="));
+  const [storyFile] = args.filter(x => !x.startsWith("--"));
+  if (!storyFile) {
+    process.stderr.write("Usage: jszm [--seed=number] [--transcript=file] storyfile\n");
+    process.exit(2);
+  }
+  play(new Uint8Array(fs.readFileSync(storyFile)), {
+    seed: seedArg ? +seedArg.slice(7) : undefined,
+    transcript: transcriptArg ? transcriptArg.slice(13) : null,
+    saveName: path.basename(storyFile).replace(/(\.[^.]*)?$/, ".qzl")
+  }).catch((e) => {
+    process.stderr.write(e.stack + "\n");
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {play: play};
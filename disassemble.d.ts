@@ -0,0 +1,56 @@
+import JSZM = require("./index");
+
+export interface Operand {
+    type: "large" | "small" | "variable";
+    value: number;
+}
+
+export interface Instruction {
+    address: number;
+    length: number;
+    kind: JSZM.InstructionKind;
+    opcode: number;
+    /** As in the Z-Machine Standards Document, or null if the instruction is illegal. */
+    name: string | null;
+    operands: Operand[];
+    /** The variable number the result is stored in. */
+    store?: number;
+    /** On is false if the branch is taken when the condition is false. */
+    branch?: {on: boolean; target: number | "rfalse" | "rtrue"};
+    /** The address of the routine called. */
+    routine?: number;
+    /** The address jumped to. */
+    target?: number;
+    /** The inline string. */
+    text?: string;
+}
+
+export interface Routine {
+    address: number;
+    /** The initial values of the local variables. */
+    locals: number[];
+    instructions: Instruction[];
+}
+
+export interface Disassembly {
+    version: number;
+    /** The initial program counter. */
+    start: number;
+    routines: Routine[];
+}
+
+export interface DisassembleOptions {
+    /** Byte addresses of routines to start from, besides the main routine. */
+    routines?: number[];
+    /** Normally true. Scan high memory for routines which follow those found. */
+    scan?: boolean;
+}
+
+/** Disassembles a story file, which is given either as a Uint8Array or as a JSZM instance. */
+export function disassemble(story: ArrayLike<number> | JSZM, options?: DisassembleOptions): Disassembly;
+
+/** Makes a text listing from the result of disassemble. */
+export function format(result: Disassembly): string;
+
+/** Makes one line of a listing, for a single instruction. */
+export function formatInstruction(inst: Instruction): string;
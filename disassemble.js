@@ -0,0 +1,241 @@
+/*
+  Z-code disassembler for JSZM
+  This program is in public domain.
+
+  Documentation:
+
+  From the command line:
+
+    node disassemble.js [--json] storyfile
+
+  prints a listing of all routines found in the story file, or the same
+  information as JSON if --json is given.
+
+  As a module, it exports these functions:
+
+  .disassemble(story,options) = Disassemble a story file, which is given
+  either as a Uint8Array or as a JSZM instance. It starts from the main
+  routine, any routines listed in options.routines (an array of byte
+  addresses) and every routine which these call. Unless options.scan is
+  false, it then also scans high memory for routines which follow these
+  and each other, since routines which are only called indirectly cannot
+  be found otherwise. The result is an object with the properties version,
+  start (the initial program counter) and routines. Each routine is an
+  object with the properties address, locals (the initial values of the
+  local variables) and instructions. Each instruction is an object with
+  the properties address, length, kind, opcode, name (as in the Z-Machine
+  Standards Document, or null if it is illegal) and operands (objects
+  with the properties type, which is "large", "small" or "variable", and
+  value). If applicable, there are also the properties store (the variable
+  number), branch (an object with the properties on, which is false if the
+  branch is taken when the condition is false, and target, which is an
+  address or "rfalse" or "rtrue"), routine (the address of the routine
+  called), target (the address jumped to) and text (the inline string).
+
+  .format(result) = Make a text listing from the result of disassemble.
+
+  .formatInstruction(inst) = Make one line of a listing, for a single
+  instruction from the result of disassemble.
+*/
+
+"use strict";
+
+const JSZM = require("./jszm.js");
+
+// Instructions after which execution does not continue with the next one
+const terminating = new Set(["rtrue", "rfalse", "print_ret", "ret", "ret_popped", "jump", "quit", "restart", "throw"]);
+
+// Instructions whose first operand is the number of a variable
+const indirect = new Set(["inc", "dec", "inc_chk", "dec_chk", "store", "pull", "load"]);
+
+function hex(x, digits = 4) {
+  return x.toString(16).padStart(digits, "0");
+}
+
+function decodeInstruction(game, addr) {
+  const mem = game.mem, version = game.version;
+  const {kind, opcode, types, operands, next: after} = JSZM.decodeInstruction(mem, addr, version);
+  const info = JSZM.instructionInfo(version, kind, opcode);
+  const inst = {
+    address: addr,
+    length: 0,
+    kind: kind,
+    opcode: opcode,
+    name: info ? info.name : null,
+    operands: types.map((type, i) => ({type: ["large", "small", "variable"][type], value: operands[i]}))
+  };
+  let next = after;
+  if (info && info.store)
+    inst.store = mem[next++];
+  if (info && info.branch) {
+    const x = mem[next++];
+    const offset = x & 64 ? x & 63 : ((((x & 63) << 8) | mem[next++]) << 18) >> 18;
+    inst.branch = {on: !!(x & 128), target: offset == 0 ? "rfalse" : offset == 1 ? "rtrue" : next + offset - 2};
+  }
+  if (inst.name && inst.name.startsWith("call") && inst.operands.length && inst.operands[0].type !== "variable")
+    inst.routine = unpackRoutine(game, inst.operands[0].value);
+  if (inst.name == "jump" && inst.operands[0].type !== "variable")
+    inst.target = next + (inst.operands[0].value << 16 >> 16) - 2;
+  if (inst.name == "print" || inst.name == "print_ret") {
+    inst.text = game.getText(next);
+    next = game.endText;
+  }
+  inst.length = next - addr;
+  return inst;
+}
+
+function unpackRoutine(game, x) {
+  const version = game.version;
+  return x * (version < 4 ? 2 : version < 8 ? 4 : 8) + (version == 7 ? game.getu(40) * 8 : 0);
+}
+
+// Whether an instruction is likely to be part of a routine found by scanning
+function plausible(game, inst) {
+  if (!inst.name)
+    return false;
+  if (inst.kind == "2OP" && inst.operands.length != 2 && !(inst.name == "je" && inst.operands.length > 1))
+    return false;
+  return typeof inst.routine !== "number" || !inst.routine || (inst.routine >= game.getu(4) && inst.routine < game.mem.length);
+}
+
+// Decode a routine, up to the last instruction which can be reached without
+// leaving it. Returns null if strict and it does not look like a routine.
+function decodeRoutine(game, address, strict) {
+  const mem = game.mem;
+  const numLocals = mem[address];
+  if (numLocals > 15)
+    return null;
+  const locals = Array.from({length: numLocals}, (_, i) => game.version < 5 ? game.getu(address + 1 + i * 2) : 0);
+  let pc = address + 1 + (game.version < 5 ? numLocals * 2 : 0);
+  let end = pc;
+  const instructions = [];
+  for (;;) {
+    if (pc >= mem.length)
+      return strict ? null : {address: address, locals: locals, instructions: instructions, end: pc};
+    let inst;
+    try {
+      inst = decodeInstruction(game, pc);
+    } catch (e) {
+      if (strict)
+        return null;
+      throw e;
+    }
+    if (strict && !plausible(game, inst))
+      return null;
+    instructions.push(inst);
+    pc += inst.length;
+    if (!inst.name)
+      break;
+    for (const target of [inst.target, inst.branch && inst.branch.target]) {
+      if (typeof target === "number" && target > end)
+        end = target;
+    }
+    if (terminating.has(inst.name) && pc > end)
+      break;
+  }
+  return {address: address, locals: locals, instructions: instructions, end: pc};
+}
+
+function disassemble(story, options = {}) {
+  const game = story instanceof JSZM ? story : new JSZM(story);
+  const mem = game.mem;
+  const scale = game.version < 4 ? 2 : game.version < 8 ? 4 : 8;
+  const align = (x) => Math.ceil(x / scale) * scale;
+  const start = game.getu(6);
+  const routines = new Map();
+
+  // Follow calls from the main routine and any others given
+  const queue = [start - 1, ...(options.routines || [])];
+  const explore = () => {
+    while (queue.length) {
+      const address = queue.shift();
+      if (routines.has(address) || address <= 0 || address >= mem.length)
+        continue;
+      const routine = decodeRoutine(game, address, false);
+      if (!routine)
+        continue;
+      routines.set(address, routine);
+      for (const inst of routine.instructions) {
+        if (inst.routine)
+          queue.push(inst.routine);
+      }
+    }
+  };
+  explore();
+
+  // Scan high memory for routines following each other
+  if (options.scan !== false) {
+    for (let address = align(game.getu(4)); address < mem.length; ) {
+      let routine = routines.get(address);
+      if (!routine) {
+        routine = decodeRoutine(game, address, true);
+        if (routine) {
+          queue.push(address);
+          explore();
+        } else {
+          const later = [...routines.keys()].filter(x => x > address);
+          if (!later.length)
+            break;
+          address = Math.min(...later);
+          continue;
+        }
+      }
+      address = align(routine.end);
+    }
+  }
+
+  return {
+    version: game.version,
+    start: start,
+    routines: [...routines.values()].sort((a, b) => a.address - b.address).map(routine => ({
+      address: routine.address,
+      locals: routine.locals,
+      instructions: routine.instructions
+    }))
+  };
+}
+
+function formatVariable(x) {
+  return x == 0 ? "sp" : x < 16 ? "L" + hex(x - 1, 2) : "G" + hex(x - 16, 2);
+}
+
+function formatInstruction(inst) {
+  const operands = inst.operands.map((op, i) =>
+    i == 0 && typeof inst.routine === "number" ? "R" + hex(inst.routine) :
+    i == 0 && indirect.has(inst.name) ? (op.type == "variable" ? "[" + formatVariable(op.value) + "]" : formatVariable(op.value)) :
+    i == 0 && typeof inst.target === "number" ? hex(inst.target) :
+    op.type == "variable" ? formatVariable(op.value) :
+    "#" + hex(op.value, op.type == "large" ? 4 : 2));
+  let line = hex(inst.address, 5) + ":  " + (inst.name || "illegal " + inst.kind + ":" + hex(inst.opcode, 2)).padEnd(16) + operands.join(", ");
+  if (typeof inst.text === "string")
+    line += JSON.stringify(inst.text);
+  if (typeof inst.store === "number")
+    line += " -> " + formatVariable(inst.store);
+  if (inst.branch)
+    line += " ?" + (inst.branch.on ? "" : "~") + (typeof inst.branch.target === "number" ? hex(inst.branch.target) : inst.branch.target);
+  return line.trimEnd();
+}
+
+function format(result) {
+  return result.routines.map(routine => {
+    let header = (routine.address == result.start - 1 ? "Main routine " : "Routine ") + "R" + hex(routine.address) +
+                 ", " + routine.locals.length + (routine.locals.length == 1 ? " local" : " locals");
+    if (result.version < 5 && routine.locals.length)
+      header += " (" + routine.locals.map(x => hex(x)).join(", ") + ")";
+    return header + "\n\n" + routine.instructions.map(inst => "  " + formatInstruction(inst) + "\n").join("") + "\n";
+  }).join("");
+}
+
+if (typeof require !== "undefined" && require.main === module) {
+  const args = process.argv.slice(2);
+  const json = args.includes("--json");
+  const file = args.find(x => x !== "--json");
+  if (!file) {
+    process.stderr.write("Usage: node disassemble.js [--json] storyfile\n");
+    process.exit(1);
+  }
+  const result = disassemble(new Uint8Array(require("fs").readFileSync(file)));
+  process.stdout.write(json ? JSON.stringify(result, null, 2) + "\n" : format(result));
+}
+
+module.exports = {disassemble: disassemble, format: format, formatInstruction: formatInstruction};
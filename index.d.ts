@@ -1,5 +1,95 @@
+/**
+ * Wherever a generator function is mentioned below, you may instead use an ordinary function, which returns its result
+ * directly, or an async function or other function returning a Promise. Such a Promise is yielded by run(), so use
+ * runAsync() or a driver which waits for yielded Promises and passes their results back to next().
+ */
 declare class JSZM {
-    constructor(arr: ArrayLike<number>);
+    /**
+     * Takes either a story file, or a Blorb file containing one, and optionally an object whose properties are copied
+     * to the new instance.
+     */
+    constructor(arr: ArrayLike<number>, options?: Partial<JSZM>);
+
+    /** Normally false. Set it to true to allow moveObject, putProperty and setAttribute to be used. */
+    allowObjectWrites: boolean;
+
+    /**
+     * Normally null. Set it to the name of a slot to keep the game there in storage before each line of input. Use
+     * resume to continue it. Failures to keep it are ignored.
+     */
+    autosaveSlot: string | null;
+
+    /** If the constructor was given a Blorb file, then this is a JSZM.Blorb for it, otherwise null. */
+    blorb: JSZM.Blorb | null;
+
+    /** Normally null. While recording, the command log which is being recorded. */
+    commandLog: JSZM.CommandLog | null;
+
+    /** Normally null. Set by the JSZM.Debugger constructor. */
+    debugger: JSZM.Debugger | null;
+
+    /** Deletes a slot of storage. */
+    deleteSave(name: string): Promise<void>;
+
+    /**
+     * Returns the entries of a dictionary. The dict is the address of a dictionary table; if it is omitted, the game's
+     * main dictionary is used.
+     */
+    dictionaryEntries(dict?: number): JSZM.DictionaryEntry[];
+
+    /** Returns the encoded form of a word as it would be stored in a dictionary entry (4 bytes for V1-3, 6 for V4+). */
+    dictionaryKey(word: string): Uint8Array;
+
+    /**
+     * Normally null. You can set it to a generator function which will be called when the ERASE opcode (V4+) is
+     * executed. If value is 1, erase from the cursor to the end of the line.
+     */
+    eraseLine: ((value: number) => void) | null;
+
+    /**
+     * Normally null. You can set it to a generator function which will be called when the CLEAR opcode (V4+) is
+     * executed. The window is 0 (lower), 1 (upper), -1 (unsplit and clear the whole screen) or -2 (clear the whole
+     * screen without unsplitting).
+     */
+    eraseWindow: ((window: number) => void) | null;
+
+    /**
+     * What to do about each kind of JSZM.ZMachineError, by the name of its class; a policy also applies to the
+     * subclasses which do not have their own. Normally {InvalidObjectError: "ignore"}. When an error is not thrown, the
+     * instruction reads 0 instead of the invalid value, skips writes, does nothing if it is illegal, and stores 0 if it
+     * divides by zero; returning from the main routine ends the game.
+     */
+    errorPolicy: {[name: string]: "throw" | "warn" | "ignore"};
+
+    /**
+     * Runs the game like runAsync() does, but as a stream of events instead of calls to eraseLine, eraseWindow,
+     * highlight, print, read, readChar, screen, setCursor, setTextStyle, split and updateStatusLine, which it replaces
+     * with functions of its own. Answer an input-request event by passing the input to the next call of next(), or by
+     * calling its respond function. The last event is quit.
+     */
+    events(): AsyncGenerator<JSZM.Event, void, string | number | undefined>;
+
+    /**
+     * Returns a new instance which starts at a turn in the timeline, or the current turn if it is omitted. It has the
+     * same settings, the timeline up to that turn and the command log being recorded up to it, but none of the
+     * functions.
+     */
+    fork(turn?: number): JSZM;
+
+    /**
+     * Returns the value of a property of an object (as an unsigned number), or the default value of the property if
+     * the object does not have it.
+     */
+    getProperty(obj: number, prop: number): number;
+
+    /**
+     * Normally null. You can set it to a generator function which returns the cursor position as an array
+     * [line, column] (both starting from 1). Called when the CURGET opcode (V4+) is executed.
+     */
+    getCursor: (() => void) | null;
+
+    /** Returns true if the object has the attribute set. */
+    hasAttribute(obj: number, attr: number): boolean;
 
     /**
      * A generator function you define, which will be called to update the highlighting mode.
@@ -7,16 +97,100 @@ declare class JSZM {
      */
     highlight(fixpitch: boolean): void;
 
-    /** Normally false. Set it to true to tell the game that it is a Tandy computer; this affects some games. */
+    /**
+     * Normally 0. Set it to a number to keep a timeline of that many turns, so that the game can be rewound or forked.
+     * Before each line of input is read, a snapshot of the machine is taken.
+     */
+    historySize: number;
+
+    /**
+     * Normally null. Set it to a number to stop run() with a JSZM.InstructionLimitError after it has executed that many
+     * instructions.
+     */
+    instructionLimit: number | null;
+
+    /** Normally false. Set it to true to tell the game that it is a Tandy computer; this affects some games. (V3 only.) */
     isTandy: boolean;
   
+    /** Returns the turns in the timeline, oldest first. The command of the current turn is null. */
+    listTurns(): JSZM.Turn[];
+
+    /** Returns the info of the slots of storage which belong to this story file, newest first. */
+    listSaves(): Promise<JSZM.SaveInfo[]>;
+
+    /** Returns the address of the dictionary entry for a word, or 0 if it is not in the dictionary. */
+    lookupWord(word: string, dict?: number): number;
+
+    /**
+     * Normally null. You can set it to a function which is called in strict memory mode when the instruction at pc tries
+     * to write to an address it is not allowed to. If it is null, a JSZM.MemoryAccessError is reported instead. Either
+     * way, the write is skipped.
+     */
+    memoryViolation: ((pc: number, address: number, region: "header" | "static" | "high") => void) | null;
+
+    /**
+     * Moves an object to be the first child of another, or removes it from the tree if dest is 0. Only allowed if
+     * allowObjectWrites is true.
+     */
+    moveObject(obj: number, dest: number): void;
+
     /**
-     * A generator function that you must define that will be called to print text. You must implement
-     * wrapping, buffering and scripting yourself. The second argument is true if it should be
-     * copied to the transcript or false if it should not be.
+     * The number of objects in the object table. The functions which take an object number throw an error if it is not
+     * in the range from 1 to numObjects.
+     */
+    numObjects: number;
+
+    /** Returns the numbers of the attributes which are set for the object. */
+    objectAttributes(obj: number): number[];
+
+    /** Returns the first child of an object, or 0 if there is none. */
+    objectChild(obj: number): number;
+
+    /** Returns all children of an object. */
+    objectChildren(obj: number): number[];
+
+    /** Returns the short name of an object. */
+    objectName(obj: number): string;
+
+    /** Returns the parent of an object, or 0 if there is none. */
+    objectParent(obj: number): number;
+
+    /** Returns the properties of an object. */
+    objectProperties(obj: number): {number: number, address: number, size: number}[];
+
+    /** Returns the next sibling of an object, or 0 if there is none. */
+    objectSibling(obj: number): number;
+
+    /**
+     * A generator function that you must define that will be called to print text. This is output stream 1 (the
+     * screen). You must implement wrapping and buffering yourself. The second argument is true if it should be copied
+     * to the transcript or false if it should not be, which you can use to implement scripting yourself instead of
+     * using printTranscript. No text is printed to streams 1, 2 and 4 while output stream 3 is selected.
      */
     print(text: string, scripting: boolean): void;
 
+    /**
+     * Normally null. You can set it to a generator function which is output stream 4; while it is selected, it is
+     * called with each line (ending with a line break) and single key that the player enters.
+     */
+    printCommand: ((text: string) => void) | null;
+
+    /**
+     * Normally null. You can set it to a generator function which is output stream 2; while it is selected (which is
+     * while the scripting bit is set), it is called with the text printed in the lower window, including each line
+     * that the player enters.
+     */
+    printTranscript: ((text: string) => void) | null;
+
+    /** Sets the value of a property of an object, which must have it. Only allowed if allowObjectWrites is true. */
+    putProperty(obj: number, prop: number, value: number): void;
+
+    /**
+     * Normally null, so that the random number generator is seeded unpredictably when the game starts or restarts.
+     * Set it to a number before calling run to make the game deterministic.
+     */
+    randomSeed: number | null;
+
     /**
      * A generator function which you must define which should return a string containing the player's input.
      * Called when a READ instruction is executed.  The argument is the maximum number of characters that are
@@ -24,6 +198,22 @@ declare class JSZM {
      */
     read(maxlen: number): void;
 
+    /**
+     * A generator function which is called when an INPUT opcode (V4+) is executed, and should return a string
+     * containing the single key pressed, or a number if it is a ZSCII code. The default implementation calls read()
+     * and uses the first character entered.
+     */
+    readChar(): void;
+
+    /** Starts recording a command log, and returns it. Call it before calling run. */
+    record(): JSZM.CommandLog;
+
+    /**
+     * Sets randomSeed from a command log, so that the results of read, readChar, save, restore and getCursor are
+     * taken from the log until it runs out. Call it before calling run.
+     */
+    replay(log: JSZM.CommandLog): void;
+
     /**
      * A generator function you can optionally define. When the game starts or if restarted (with the RESTART
      * instruction), it will be called after memory is initialized but before executing any more.
@@ -33,34 +223,95 @@ declare class JSZM {
     /**
      * A generator function you define, which is called when restoring a saved game. Return a Uint8Array with
      * the same contents passed to save() if successful, or you can return false or null or undefined if it failed.
+     * Quetzal files saved by other interpreters and saves in the format used by older versions of JSZM can be restored too.
+     * If storage is set, the default restores from the slot named saveSlot, and fails if it is an autosave.
      */
     restore(): void;
 
+    /**
+     * Loads a slot of storage, or the newest one which belongs to this story file if name is omitted, so that run()
+     * continues the game from it. Resolves to false if there is no such slot. Call it before calling run. A game resumed
+     * from an autosave is at the line of input it was kept at, so read is called without the prompt being printed again.
+     */
+    resume(name?: string): Promise<boolean>;
+
     /**
      * A generator function. Call it to run the program from the beginning, and call the next() method of the
      * returned object to begin and to continue.  This generator may call your own generator functions which
      * may yield; it doesn't otherwise yield by itself.  You must set up the other methods before calling run
      * so that it can properly set up the contents of the Z-machine mode byte.
      * 
-     * This generator only finishes when a QUIT instruction is executed.
+     * This generator only finishes when a QUIT instruction is executed. Instructions are decoded only once, so if you
+     * change any code above dynamic memory while it is running, the change might have no effect.
      */
     run(): IterableIterator<any>;
 
     /**
-     * A generator function you can define yourself, and is called when saving the game. The argument is a Uint8Array,
-     * and you should attempt to save its contents somewhere, and then return true if successful or false if it failed.
+     * An async function which runs the program like run() does, waiting for any Promises that your functions return
+     * or yield. It returns a Promise which is resolved when a QUIT instruction is executed, or rejected if an error
+     * occurs. If signal is aborted while it is waiting for a Promise, it stops at once.
+     */
+    runAsync(): Promise<void>;
+
+    /**
+     * Goes back n turns in the timeline (default 1), and returns true, or false if the timeline does not go back that far.
+     * Call it in read: when read returns, its result is ignored, the game goes back to when it asked for input at the
+     * earlier turn, and read is called again.
+     */
+    rewind(n?: number): boolean;
+
+    /**
+     * A generator function you can define yourself, and is called when saving the game. The argument is a Uint8Array
+     * containing a save file in the standard Quetzal format, and you should attempt to save its contents somewhere, and
+     * then return true if successful or false if it failed. If storage is set, the default saves to the slot named
+     * saveSlot.
      */
     save(buf: Uint8Array): void;
 
+    /** Returns the info kept with a slot of storage, about the game as it is now. */
+    saveInfo(name: string, autosave?: boolean): JSZM.SaveInfo;
+
+    /** The name of the slot of storage which the default save and restore functions use. Defaults to "save". */
+    saveSlot: string;
+
     /** The serial number of the story file, as six ASCII characters. */
     serial: string;
 
+    /** The height of the screen in lines, which is reported to V4+ games. Defaults to 24. */
+    screenHeight: number;
+
+    /** The width of the screen in characters, which is reported to V4+ games. Defaults to 80. */
+    screenWidth: number;
+
     /** 
      * Normally null. You can set it to a generator function which will be called when the SCREEN opcode is executed if
      * you want to implement split screen.
      */
     screen(window: number): void;
 
+    /** Sets an attribute of an object, or clears it if value is false. Only allowed if allowObjectWrites is true. */
+    setAttribute(obj: number, attr: number, value?: boolean): void;
+
+    /**
+     * Normally null. You can set it to a generator function which will be called when the CURSET opcode (V4+) is
+     * executed, to move the cursor in the upper window.
+     */
+    setCursor: ((line: number, column: number) => void) | null;
+
+    /**
+     * Normally null. You can set it to a generator function which will be called when the HLIGHT opcode (V4+) is
+     * executed. The style is 0 for roman, or a combination of 1 (reverse video), 2 (bold), 4 (italic) and 8 (fixed
+     * pitch). If you do not set it, highlight is called with the fixed pitch bit instead.
+     */
+    setTextStyle: ((style: number) => void) | null;
+
+    /**
+     * Normally null. Set it to an AbortSignal to be able to stop the game; run() throws the signal's reason when it has
+     * been aborted. This is checked every 10000 instructions and after each instruction which calls your functions or
+     * yields, so aborting it in a function such as read stops the game as soon as that function returns.
+     */
+    signal: AbortSignal | null;
+
     /** 
      * Normally null. You can set it to a generator function which will be called when the SPLIT opcode is executed if
      * you want to implement split screen.
@@ -69,12 +320,51 @@ declare class JSZM {
 
     /**
      * False for score/moves and true for hours/minutes. Use this to determine the meaning of arguments to updateStatusLine.
+     * (V3 only.)
      */
     statusType: boolean;
 
+    /**
+     * Normally false. Set it to true to allow the game to write only to dynamic memory, and not to the header except for
+     * Flags 2. The text which output stream 3 appends to its table is not checked.
+     */
+    strictMemory: boolean;
+
+    /**
+     * Normally null. Set it to an object which keeps save files in named slots, such as the classes of storage.js, to
+     * save and restore games without defining save and restore, and to use autosaveSlot, deleteSave, listSaves and
+     * resume. Storage whose methods return Promises needs runAsync().
+     */
+    storage: JSZM.Storage | null;
+
+    /** Returns true if the output stream (1 to 4) is selected. */
+    streamSelected(number: number): boolean;
+
+    /**
+     * Normally null. Set it to a number of milliseconds to stop run() with a JSZM.TimeLimitError after it has been
+     * executing instructions for that long, not counting the time spent in your functions or while it has yielded.
+     */
+    timeLimit: number | null;
+
+    /**
+     * Splits text into words in the same way as the game does with the player's input, using the word separators of the
+     * dictionary.
+     */
+    tokenizeText(text: string, dict?: number): JSZM.Token[];
+
+    /**
+     * The characters for ZSCII codes 155 onwards, from the Unicode translation table of the story file, or the default table
+     * in the Z-Machine Standards Document if it does not have one.
+     */
+    unicodeTable: string;
+
+    /** Removes a watcher. */
+    unwatch(watcher: JSZM.Watcher): void;
+
     /** 
      * Normally null, but can be a generator function if you are implementing the status line. It is called when a READ or
-     * USL instruction is executed. See statusType for the meaning of v18 and v17. Return value is unused.
+     * USL instruction is executed. See statusType for the meaning of v18 and v17. Return value is unused. (V3 only; later
+     * versions draw the status line themselves in the upper window.)
      */
     updateStatusLine(text: string, v18: number, v17: number): void;
 
@@ -84,9 +374,63 @@ declare class JSZM {
      */
     verify(): void;
 
+    /** The Z-machine version number of the story file. */
+    version: number;
+
+    /** Called with an error whose policy is "warn". The default writes the message with console.warn. */
+    warn(error: JSZM.ZMachineError): void;
+
+    /**
+     * Adds a watcher which is called as soon as the game sets or clears the attribute of the object (with FSET or FCLEAR).
+     * If obj or attr is null, any will do.
+     */
+    watchAttribute(obj: number | null, attr: number | null, callback: (change: JSZM.AttributeChange) => void): JSZM.Watcher;
+
+    /**
+     * Adds a watcher which is called as soon as the game changes the value of the global variable (numbered from 0, which is
+     * variable 16), by storing to it or with PUT on the table of global variables. If number is null, any will do.
+     */
+    watchGlobal(number: number | null, callback: (change: JSZM.GlobalChange) => void): JSZM.Watcher;
+
+    /** Adds a watcher which is called as soon as the game moves the object (with MOVE or REMOVE). If obj is null, any will do. */
+    watchObject(obj: number | null, callback: (change: JSZM.MoveChange) => void): JSZM.Watcher;
+
+    /** The watchers, or null if there are none; while there are none, they cost nothing. */
+    watchers: JSZM.Watcher[] | null;
+
+    /** The window selected by the SCREEN opcode, 0 (lower) or 1 (upper). */
+    window: number;
+
+    /**
+     * Normally null. Set it to a number for run() to yield every that many instructions. The value yielded is a Promise
+     * which is resolved after other pending tasks, and the value which next() is called with is ignored.
+     */
+    yieldInterval: number | null;
+
     /** The ZORKID of the story file. This is what is normally displayed as the release number. */
     zorkid: number;
 
+    /**
+     * Converts a string to an array of ZSCII codes. Characters which are not in the Unicode table are converted to question
+     * marks.
+     */
+    zsciiFromString(str: string): number[];
+
+    /** Converts a ZSCII code to a string, using the Unicode table for codes 155 onwards. */
+    zsciiToString(code: number): string;
+
+    /** Decodes the form and operands of the instruction at addr. */
+    static decodeInstruction(mem: Uint8Array, addr: number, version: number): JSZM.DecodedInstruction;
+
+    /** Returns the name of an instruction and whether it stores a result or branches, or null if it is illegal. */
+    static instructionInfo(version: number, kind: JSZM.InstructionKind, opcode: number): JSZM.InstructionInfo | null;
+
+    /**
+     * Replays a command log without a user interface, and returns all of the text which is printed until the log runs
+     * out or the game ends.
+     */
+    static playback(story: ArrayLike<number>, log: JSZM.CommandLog, options?: Partial<JSZM>): string;
+
     static version: {
         major: number;
         minor: number;
@@ -95,4 +439,329 @@ declare class JSZM {
     };
 }
 
+declare namespace JSZM {
+    /** An event of events(). The turn counts lines of input, from 1. */
+    type Event = {turn: number} & (
+        /** Consecutive text with the same window and scripting is joined into one event. */
+        {type: "text"; text: string; window: number; scripting: boolean} |
+        {type: "style"; style: number} |
+        {type: "style"; fixpitch: boolean} |
+        {type: "window"; action: "select" | "erase"; window: number} |
+        {type: "window"; action: "split"; window: 1; lines: number} |
+        {type: "window"; action: "erase-line"; window: number; value: number} |
+        {type: "window"; action: "cursor"; window: number; line: number; column: number} |
+        /** V3 only. */
+        {type: "status"; location: string; score: number; moves: number} |
+        {type: "status"; location: string; hours: number; minutes: number} |
+        {type: "input-request"; kind: "line"; maxlen: number; respond: (input: string) => void} |
+        {type: "input-request"; kind: "char"; respond: (input: string | number) => void} |
+        {type: "quit"}
+    );
+
+    type Watcher =
+        {type: "attribute"; object: number | null; attribute: number | null; callback: (change: AttributeChange) => void} |
+        {type: "global"; number: number | null; callback: (change: GlobalChange) => void} |
+        {type: "move"; object: number | null; callback: (change: MoveChange) => void};
+
+    /** A change which a watcher is called with. */
+    interface Change {
+        /** The address of the instruction which made the change. */
+        pc: number;
+        /** The number of lines of input so far, so that changes made in response to the first command are in turn 1. */
+        turn: number;
+    }
+
+    interface AttributeChange extends Change {
+        type: "attribute";
+        object: number;
+        attribute: number;
+        previous: boolean;
+        value: boolean;
+    }
+
+    interface GlobalChange extends Change {
+        type: "global";
+        number: number;
+        previous: number;
+        value: number;
+    }
+
+    /** The previous and value are the old and new parents of the object. */
+    interface MoveChange extends Change {
+        type: "move";
+        object: number;
+        previous: number;
+        value: number;
+    }
+
+    interface Turn {
+        /** Counting from 1 when the game starts. */
+        turn: number;
+        /** The line entered, or null for the current turn. */
+        command: string | null;
+    }
+
+    /** The information kept with a slot of storage, which can be converted to JSON. */
+    interface SaveInfo {
+        name: string;
+        /** The zorkid of the story file. */
+        release: number;
+        serial: string;
+        /** The name of the object in global variable 16, or "". */
+        location: string;
+        /** Global variables 17 and 18, which are hours and minutes if statusType is true. */
+        score: number;
+        moves: number;
+        /** As from Date.now(). */
+        time: number;
+        autosave: boolean;
+        /** For an autosave, the addresses of the buffers of the READ instruction it was kept at. */
+        text?: number;
+        parse?: number;
+    }
+
+    /** Keeps save files in named slots. The methods may return their results directly or return Promises. */
+    interface Storage {
+        delete(name: string): void | Promise<void>;
+        /** Returns null if there is no slot with the name. */
+        get(name: string): {data: Uint8Array; info: SaveInfo} | null | Promise<{data: Uint8Array; info: SaveInfo} | null>;
+        list(): SaveInfo[] | Promise<SaveInfo[]>;
+        set(name: string, data: Uint8Array, info: SaveInfo): void | Promise<void>;
+    }
+
+    /** A portable record of the input to a game, which can be converted to JSON. */
+    interface CommandLog {
+        story: {release: number; serial: string};
+        seed: number;
+        /** Results of read as strings, and of the other functions as objects such as {readChar: "y"}. */
+        input: (string | {readChar: string | number} | {save: boolean} | {restore: string | null} |
+                {getCursor: [number, number]})[];
+    }
+
+    interface BlorbChunk {
+        /** The four character chunk type. */
+        id: string;
+        /** The offset of the chunk header in the file. */
+        offset: number;
+        data: Uint8Array;
+    }
+
+    interface BlorbResource {
+        /** "Pict", "Snd " or "Exec". */
+        usage: string;
+        number: number;
+        /** The chunk type, such as "PNG " or "ZCOD". */
+        type: string;
+        data: Uint8Array;
+    }
+
+    class Blorb {
+        /** Takes a Blorb file. Throws an error if it is not one. */
+        constructor(arr: ArrayLike<number>);
+
+        /** All chunks in the file. */
+        chunks: BlorbChunk[];
+
+        /** The Z-code story file, or null if there is none. */
+        executable: Uint8Array | null;
+
+        /** The number of the picture resource to display as the cover art, or null. */
+        frontispiece: number | null;
+
+        getPicture(number: number): BlorbResource | null;
+
+        getResource(usage: string, number: number): BlorbResource | null;
+
+        getSound(number: number): BlorbResource | null;
+
+        /** The iFiction metadata of the story as an XML string, or null. */
+        iFiction: string | null;
+
+        /**
+         * The contents of the identification and bibliographic sections of the iFiction metadata (such as ifid, title,
+         * author and headline), or null.
+         */
+        metadata: {[name: string]: string} | null;
+
+        /** The release number of the file, or null. */
+        release: number | null;
+
+        resources: BlorbResource[];
+    }
+
+    type InstructionKind = "0OP" | "1OP" | "2OP" | "VAR" | "EXT";
+
+    interface DecodedInstruction {
+        kind: InstructionKind;
+        opcode: number;
+        /** 0 for a large constant, 1 for a small constant and 2 for a variable. */
+        types: number[];
+        /** The unsigned values of the operands. */
+        operands: number[];
+        /** The address following the operands. */
+        next: number;
+    }
+
+    interface InstructionInfo {
+        /** As in the Z-Machine Standards Document. */
+        name: string;
+        store: boolean;
+        branch: boolean;
+    }
+
+    interface DictionaryEntry {
+        /** The text of the entry. */
+        word: string;
+        address: number;
+        /** The data bytes which follow the encoded word. */
+        data: Uint8Array;
+    }
+
+    interface Token {
+        word: string;
+        /** The position of the word in the text. */
+        position: number;
+        /** The address of the dictionary entry, or 0 if the word is not in the dictionary. */
+        address: number;
+    }
+
+    interface DebuggerFrame {
+        /** The address of the routine, or null for the main routine or if it is not known. */
+        routine: number | null;
+        pc: number;
+        locals: number[];
+        /** The number of arguments the routine was called with. */
+        args: number;
+        /** The contents of the data stack of the routine. */
+        stack: number[];
+    }
+
+    interface DebuggerEvent {
+        reason: "breakpoint" | "routine" | "step" | "watch" | "error";
+        pc: number;
+        watchpoint?: Watchpoint;
+        previous?: number | boolean | number[];
+        value?: number | boolean | number[];
+        /** The error, which is thrown after onBreak returns. */
+        error?: Error;
+    }
+
+    interface TraceEntry {
+        pc: number;
+        kind: InstructionKind;
+        opcode: number;
+        name: string;
+        operands: number[];
+        /** The number of frames in the call stack. */
+        depth: number;
+        /** The variable number the result is stored in. */
+        store?: number;
+        /** The value stored, except for calls. */
+        result?: number;
+        /** True if the branch was taken. */
+        branch?: boolean;
+    }
+
+    interface Watchpoint {
+        type: "attribute" | "global" | "memory";
+        object?: number;
+        attribute?: number;
+        number?: number;
+        address?: number;
+        length?: number;
+        value: number | boolean | number[];
+    }
+
+    /** Addresses are byte addresses. */
+    class Debugger {
+        /** Attaches itself as the debugger property of the game. */
+        constructor(game: JSZM);
+
+        /** Addresses of instructions to break before. */
+        breakpoints: Set<number>;
+
+        /** The frames of the call stack, newest first and ending with the main routine. Only valid while paused. */
+        readonly callStack: DebuggerFrame[];
+
+        /** The data stack of the current routine. Only valid while paused. */
+        readonly dataStack: number[];
+
+        /**
+         * Normally null. You can set it to a generator function which is called when execution breaks, and which
+         * pauses execution until it returns.
+         */
+        onBreak: ((event: DebuggerEvent) => void) | null;
+
+        /** Break before the next instruction. */
+        pause(): void;
+
+        /** The address of the next instruction. Only valid while paused. */
+        readonly pc: number;
+
+        /** Continue without stepping, until the next break. */
+        resume(): void;
+
+        /** Addresses of routines to break at when they are called. */
+        routineBreakpoints: Set<number>;
+
+        /** Break again before the next instruction. */
+        step(): void;
+
+        /** Break again after the current routine returns. */
+        stepOut(): void;
+
+        /** Break again before the next instruction which is not in a routine called by this one. */
+        stepOver(): void;
+
+        /** Normally null. You can set it to a normal function which is called after each instruction is executed. */
+        trace: ((entry: TraceEntry) => void) | null;
+
+        unwatch(watchpoint: Watchpoint): void;
+
+        watchAttribute(obj: number, attr: number): Watchpoint;
+
+        /** The global variable is numbered from 0, which is variable 16. */
+        watchGlobal(number: number): Watchpoint;
+
+        watchMemory(address: number, length?: number): Watchpoint;
+
+        watchpoints: Watchpoint[];
+    }
+
+    /** Thrown by run() when the story file does something invalid. See errorPolicy. */
+    class ZMachineError extends Error {
+        constructor(message: string, state?: {pc?: number; kind?: InstructionKind; opcode?: number; instruction?: string; callStack?: DebuggerFrame[]});
+
+        /** The address of the instruction. These are null if the error was not thrown by an instruction. */
+        pc: number | null;
+        kind: InstructionKind | null;
+        opcode: number | null;
+        /** The name of the instruction. */
+        instruction: string | null;
+        /** The frames of the call stack, newest first and ending with the main routine. */
+        callStack: DebuggerFrame[];
+    }
+
+    class InvalidOpcodeError extends ZMachineError {}
+
+    class StackUnderflowError extends ZMachineError {}
+
+    /** An object number which is 0 or too large. */
+    class InvalidObjectError extends ZMachineError {}
+
+    /** An address outside of memory. */
+    class MemoryAccessError extends ZMachineError {}
+
+    class DivisionByZeroError extends ZMachineError {}
+
+    /** Returning from the main routine. */
+    class CallStackUnderflowError extends ZMachineError {}
+
+    /** Thrown when instructionLimit is reached, whatever the errorPolicy. */
+    class InstructionLimitError extends ZMachineError {}
+
+    /** Thrown when timeLimit is reached, whatever the errorPolicy. */
+    class TimeLimitError extends ZMachineError {}
+}
+
 export = JSZM;
\ No newline at end of file
@@ -5,22 +5,316 @@
   Documentation:
 
   The exported function called JSZM is the constructor, which takes a
-  Uint8Array as input. You can also use JSZM.Version for the version
-  number which is object with properties: major, minor, subminor,
-  timestamp. Properties of JSZM instances are:
+  Uint8Array as input. This is either a story file, or a Blorb file
+  containing one. Story files of versions 1 to 5, 7 and 8 are supported.
+  It optionally takes a second argument, an object whose properties are
+  copied to the new instance, for example {randomSeed: 1}.
+  You can also use JSZM.Version for the version number which is object
+  with properties: major, minor, subminor, timestamp.
+
+  JSZM.Blorb is a class whose constructor takes a Uint8Array containing
+  a Blorb file. Its properties are:
+
+    .chunks = An array of all chunks in the file, as objects with the
+    properties id (a four character string), offset and data.
+
+    .executable = A Uint8Array containing the Z-code story file, or null
+    if there is none.
+
+    .frontispiece = The number of the picture resource to display as the
+    cover art, or null.
+
+    .getPicture(number), .getResource(usage,number), .getSound(number) =
+    Find a resource, returning an object from resources or null.
+
+    .iFiction = The iFiction metadata of the story as an XML string, or
+    null.
+
+    .metadata = An object with the contents of the identification and
+    bibliographic sections of the iFiction metadata (such as ifid, title,
+    author and headline) as strings, or null.
+
+    .release = The release number of the file, or null.
+
+    .resources = An array of objects with the properties usage ("Pict",
+    "Snd " or "Exec"), number, type (the chunk type, such as "PNG " or
+    "ZCOD") and data (a Uint8Array).
+
+  JSZM.Debugger is a class whose constructor takes a JSZM instance, and
+  attaches itself as the debugger property of it. Addresses are byte
+  addresses. Its properties are:
+
+    .breakpoints = A Set of addresses of instructions. Execution breaks
+    before an instruction at one of these addresses is executed.
+
+    .callStack = An array of the frames of the call stack, newest first
+    and ending with the main routine, as objects with the properties
+    routine (the address of the routine, or null if it is not known),
+    pc, locals, args (the number of arguments it was called with) and
+    stack (the contents of its data stack). Only valid while paused.
+
+    .dataStack = An array with the contents of the data stack of the
+    current routine. Only valid while paused.
+
+    .onBreak(event) = Normally null. You can set it to a generator
+    function which is called when execution breaks, and which pauses
+    execution until it returns. The event has the properties reason
+    ("breakpoint", "routine", "step", "watch" or "error") and pc. For a
+    watchpoint, it also has watchpoint, previous and value; for an error,
+    it has error (which is thrown after onBreak returns).
+
+    .pause() = Break before the next instruction.
+
+    .pc = The address of the next instruction. Only valid while paused.
+
+    .resume() = Continue without stepping, until the next break.
+
+    .routineBreakpoints = A Set of addresses of routines. Execution
+    breaks before the first instruction of one of these routines when it
+    is called.
+
+    .step(), .stepOut(), .stepOver() = Call one of these from onBreak to
+    break again before the next instruction, after the current routine
+    returns, or before the next instruction which is not in a routine
+    called by this one.
+
+    .trace(entry) = Normally null. You can set it to a normal function
+    which is called after each instruction is executed. The entry has the
+    properties pc, kind ("0OP", "1OP", "2OP", "VAR" or "EXT"), opcode,
+    name, operands and depth (the number of frames in the call stack).
+    Instructions which store a value also have store (the variable
+    number) and result (the value stored, except for calls), and those
+    which branch have branch (true if the branch was taken).
+
+    .unwatch(watchpoint) = Remove a watchpoint.
+
+    .watchAttribute(obj,attr), .watchGlobal(number),
+    .watchMemory(address,length) = Add a watchpoint, which breaks
+    execution after an instruction changes the attribute, the global
+    variable (numbered from 0, which is variable 16) or the memory. They
+    return the watchpoint, an object with a type ("attribute", "global"
+    or "memory"), the arguments and its current value.
+
+    .watchpoints = An array of all watchpoints.
+
+  JSZM.decodeInstruction(mem,addr,version) = A normal function which
+  decodes the form and operands of the instruction at addr in a Uint8Array
+  of memory. It returns an object with the properties kind ("0OP", "1OP",
+  "2OP", "VAR" or "EXT"), opcode, types (of the operands: 0 for a large
+  constant, 1 for a small constant and 2 for a variable), operands (the
+  unsigned values) and next (the address following the operands). The
+  disassembler in disassemble.js is built on this.
+
+  JSZM.instructionInfo(version,kind,opcode) = A normal function which
+  returns an object with the properties name (as in the Z-Machine
+  Standards Document), store and branch (true if the instruction stores a
+  result or branches) for an instruction, or null if it is illegal in
+  that version. run() fails with JSZM.InvalidOpcodeError on the same
+  instructions.
+
+  JSZM.playback(story,log,options) = A normal function which replays a
+  command log (see record) without a user interface, and returns all of
+  the text which is printed until the log runs out or the game ends. The
+  story and options are given to the constructor.
+
+  JSZM.ZMachineError = The class of errors which are thrown by run() when
+  the story file does something invalid. Its subclasses are
+  InvalidOpcodeError, StackUnderflowError, InvalidObjectError (an object
+  number which is 0 or too large), MemoryAccessError (an address outside
+  of memory), DivisionByZeroError and CallStackUnderflowError (returning
+  from the main routine); other errors are instances of
+  JSZM.ZMachineError itself. InstructionLimitError and TimeLimitError are
+  thrown when instructionLimit or timeLimit is reached, and are always
+  thrown whatever the errorPolicy. The subclasses are also properties of
+  JSZM. Their properties are message, pc (of the instruction), kind,
+  opcode, instruction (its name) and callStack (an array of frames as in
+  JSZM.Debugger's callStack, newest first). See errorPolicy.
+
+  Wherever a generator function is mentioned below, you may instead use
+  an ordinary function, which returns its result directly, or an async
+  function or other function returning a Promise. Such a Promise is
+  yielded by run(), so use runAsync() or a driver which waits for yielded
+  Promises and passes their results back to next().
+
+  Properties of JSZM instances are:
+
+  .allowObjectWrites = A boolean, normally false. Set it to true to allow
+  the moveObject, putProperty and setAttribute functions to be used.
+
+  .autosaveSlot = Normally null. Set it to the name of a slot to keep
+  the game there in storage before each line of input, as if it was saved
+  at every turn. Use resume to continue it. Failures to keep it are
+  ignored.
+
+  .blorb = If the constructor was given a Blorb file, then this is an
+  instance of JSZM.Blorb for it, otherwise null.
+
+  .commandLog = Normally null. While recording, the command log which is
+  being recorded (see record).
+
+  .debugger = Normally null. Set by the JSZM.Debugger constructor.
+
+  .deleteSave(name) = An async function which deletes a slot of storage.
+
+  .dictionaryEntries(dict) = A normal function which returns an array of
+  the entries of a dictionary, as objects with the properties word (the
+  text of the entry), address and data (a Uint8Array of the data bytes
+  which follow the encoded word). The dict is the address of a dictionary
+  table in memory; if it is omitted, the game's main dictionary is used.
+  The same is true of the other functions with a dict argument.
+
+  .dictionaryKey(word) = A normal function which returns the encoded form
+  of a word as it would be stored in a dictionary entry, as a Uint8Array
+  (4 bytes for V1-3 and 6 bytes for V4+). Characters which are not in the
+  alphabets are encoded as ZSCII escapes.
+
+  .eraseLine(value) = Normally null. You can set it to a generator
+  function which will be called when the ERASE opcode (V4+) is executed.
+  If value is 1, erase from the cursor to the end of the line.
+
+  .eraseWindow(window) = Normally null. You can set it to a generator
+  function which will be called when the CLEAR opcode (V4+) is executed.
+  The window is 0 (lower), 1 (upper), -1 (unsplit and clear the whole
+  screen) or -2 (clear the whole screen without unsplitting).
+
+  .errorPolicy = An object which says what to do about each kind of
+  JSZM.ZMachineError, by the name of its class: "throw" (the default),
+  "warn" (call warn and carry on) or "ignore". Policies for a class also
+  apply to its subclasses, unless they have their own. Normally it is
+  {InvalidObjectError: "ignore"}, since some games use object 0 as if it
+  was an empty object. When an error is not thrown, the instruction reads
+  0 instead of the invalid value, skips writes, does nothing if it is
+  illegal, and stores 0 if it divides by zero; returning from the main
+  routine ends the game.
+
+  .events() = An async generator function which runs the game like
+  runAsync() does, but as a stream of events instead of calls to your
+  functions. It sets eraseLine, eraseWindow, highlight, print, read,
+  readChar, screen, setCursor, setTextStyle, split and updateStatusLine
+  to functions of its own; the others, such as save and restore, are
+  called as usual. Each event is an object with the properties type and
+  turn (which counts lines of input, from 1), so that the events of a
+  turn can be grouped together, and these properties for each type:
+
+    text: text, window and scripting (see print). Consecutive text with
+    the same window and scripting is joined into one event.
+    style: style (see setTextStyle), or fixpitch (see highlight).
+    window: action, which is "select", "split", "erase", "erase-line" or
+    "cursor", and window, lines (for split), value (for erase-line), and
+    line and column (for cursor).
+    status: location, and score and moves, or hours and minutes if
+    statusType is true. (V3 only.)
+    input-request: kind, which is "line" (with maxlen) or "char", and
+    respond. Either pass the input to the next call of next(), or call
+    respond(input) at any time; the game waits until one of them is done.
+    The input is the same as read or readChar would return.
+    quit: Nothing else. This is the last event.
+
+  .fork(turn) = A normal function which returns a new JSZM instance for
+  the same story file, which starts at a turn in the timeline (see
+  historySize), or the current turn if it is omitted. It has the same
+  settings (such as randomSeed, screenWidth and historySize), the
+  timeline up to that turn, and a copy of the command log being recorded
+  up to it, but none of your functions; set them before calling its run.
+
+  .getProperty(obj,prop) = A normal function which returns the value of a
+  property of an object (as an unsigned number), or the default value of
+  the property if the object does not have it.
+
+  .getCursor() = Normally null. You can set it to a generator function
+  which returns the cursor position as an array [line, column] (both
+  starting from 1). Called when the CURGET opcode (V4+) is executed.
+
+  .hasAttribute(obj,attr) = A normal function which returns true if the
+  object has the attribute set.
 
   .highlight(fixpitch) = A generator function you define, which will be
   called to update the highlighting mode, which is fixpitch (if the
   argument is true) or normal (if argument is false). (You don't have to
   set it if you aren't implementing variable pitch by default.)
 
+  .historySize = Normally 0. Set it to a number to keep a timeline of
+  that many turns, so that the game can be rewound or forked. Before each
+  line of input is read, a snapshot of the machine is taken, with the
+  dynamic memory (compressed as the difference from the story file), the
+  stacks and the state of the random number generator.
+
+  .instructionLimit = Normally null. Set it to a number to stop run()
+  with a JSZM.InstructionLimitError after it has executed that many
+  instructions, for example to stop a game which is stuck in a loop.
+
   .isTandy = A boolean, normally false. Set it to true to tell the game
-  that it is a Tandy computer; this affects some games.
+  that it is a Tandy computer; this affects some games. (V3 only.)
+
+  .listTurns() = A normal function which returns an array of the turns
+  in the timeline, oldest first, as objects with the properties turn (a
+  number, counting from 1 when the game starts) and command (the line
+  entered, or null for the current turn).
+
+  .listSaves() = An async function which returns the info of the slots
+  of storage which belong to this story file (see saveInfo), newest
+  first.
+
+  .lookupWord(word,dict) = A normal function which returns the address of
+  the dictionary entry for a word, or 0 if it is not in the dictionary.
+
+  .memoryViolation(pc,address,region) = Normally null. You can set it to
+  a normal function which is called in strict memory mode (see
+  strictMemory) when the instruction at pc tries to write to an address
+  it is not allowed to. The region is "header", "static" or "high". If it
+  is null, a JSZM.MemoryAccessError is reported (see errorPolicy)
+  instead. Either way, the write is skipped.
+
+  .moveObject(obj,dest) = A normal function which moves an object to be
+  the first child of another, or removes it from the tree if dest is 0.
+  Only allowed if allowObjectWrites is true.
+
+  .numObjects = The number of objects in the object table. The functions
+  which take an object number throw an error if it is not in the range
+  from 1 to numObjects.
+
+  .objectAttributes(obj) = A normal function which returns an array of
+  the numbers of the attributes which are set for the object.
+
+  .objectChild(obj), .objectParent(obj), .objectSibling(obj) = Normal
+  functions which return the object number of the first child, parent or
+  next sibling of an object, or 0 if there is none.
+
+  .objectChildren(obj) = A normal function which returns an array of the
+  object numbers of all children of an object.
+
+  .objectName(obj) = A normal function which returns the short name of
+  an object.
+
+  .objectProperties(obj) = A normal function which returns an array of
+  the properties of the object, as objects with the properties number,
+  address (of the property data) and size.
 
   .print(text,scripting) = A generator function that you must define, and
-  will be called to print text. You must implement wrapping and buffering
-  and scripting yourself. The second argument is true if it should be
-  copied to the transcript or false if it should not be.
+  will be called to print text. This is output stream 1 (the screen). You
+  must implement wrapping and buffering yourself. The second argument is
+  true if it should be copied to the transcript or false if it should
+  not be, which you can use to implement scripting yourself instead of
+  using printTranscript. No text is printed to streams 1, 2 and 4 while
+  output stream 3 is selected; the game's text goes to memory instead.
+
+  .printCommand(text) = Normally null. You can set it to a generator
+  function which is output stream 4; while it is selected, it is called
+  with each line (ending with a line break) and single key that the
+  player enters.
+
+  .printTranscript(text) = Normally null. You can set it to a generator
+  function which is output stream 2; while it is selected (which is while
+  the scripting bit is set), it is called with the text printed in the
+  lower window, including each line that the player enters.
+
+  .putProperty(obj,prop,value) = A normal function which sets the value
+  of a property of an object, which must have it. Only allowed if
+  allowObjectWrites is true.
+
+  .randomSeed = Normally null, so that the random number generator is
+  seeded unpredictably when the game starts or restarts. Set it to a
+  number before calling run to make the game deterministic.
 
   .read(maxlen) = A generator function which you must define yourself, and
   which should return a string containing the player's input. Called when
@@ -28,6 +322,27 @@
   characters that are allowed (if you return a longer string, it will be
   truncated).
 
+  .readChar() = A generator function which is called when an INPUT
+  opcode (V4+) is executed, and should return a string containing the
+  single key pressed, or a number if it is a ZSCII code. The default
+  implementation calls read() and uses the first character entered.
+
+  .record() = A normal function which starts recording a command log, and
+  returns it. Call it before calling run. The log is an object which can
+  be converted to JSON, with the properties story (the release and serial
+  of the story file), seed (the randomSeed, which is chosen if it is not
+  set) and input. The input is an array of the results of the read,
+  readChar, save, restore and getCursor functions; the results of read
+  are strings and the others are objects such as {readChar: "y"}.
+
+  .replay(log) = A normal function which sets randomSeed from a command
+  log, so that the results of the read, readChar, save, restore and
+  getCursor functions are taken from the log instead of calling them,
+  until it runs out. Call it before calling run. Replaying a log gives
+  the same output as when it was recorded. An error is thrown if the log
+  is for a different story file or if the game asks for a different kind
+  of input from the one in the log.
+
   .restarted() = A generator function you can optionally define. When the
   game starts or if restarted (with the RESTART instruction), it will be
   called after memory is initialized but before executing any more.
@@ -35,45 +350,188 @@
   .restore() = A generator function you can define yourself, which is
   called when restoring a saved game. Return a Uint8Array with the same
   contents passed to save() if successful, or you can return false or null
-  or undefined if it failed.
+  or undefined if it failed. Quetzal files saved by other interpreters and
+  saves in the format used by older versions of JSZM can be restored too.
+  If storage is set, the default restores from the slot named saveSlot,
+  and fails if it is an autosave.
+
+  .resume(name) = An async function which loads a slot of storage, or the
+  newest one which belongs to this story file if name is omitted, so that
+  run() continues the game from it instead of starting at the beginning.
+  It returns false if there is no such slot. Call it before calling run.
+  A game resumed from an autosave is at the line of input it was kept
+  at, so read is called without the prompt being printed again.
+
+  .rewind(n) = A normal function which goes back n turns in the
+  timeline (1 if it is omitted), and returns true, or false if the
+  timeline does not go back that far. It is meant to be called in read:
+  when read returns, its result is ignored, the game goes back to when it
+  asked for input at the earlier turn, and read is called again. The
+  turns after it are removed from the timeline, and from the command log
+  being recorded.
 
   .run() = A generator function. Call it to run the program from the
   beginning, and call the next() method of the returned object to begin
   and to continue. This generator may call your own generator functions
-  which may yield; it doesn't otherwise yield by itself. You must set up
-  the other methods before calling run so that it can properly set up the
-  contents of the Z-machine mode byte. This generator only finishes when a
-  QUIT instruction is executed.
+  which may yield; it doesn't otherwise yield by itself, unless
+  yieldInterval is set. You must set up the other methods before calling
+  run so that it can properly set up the contents of the Z-machine mode
+  byte. This generator only finishes when a QUIT instruction is executed.
+  Instructions are decoded only once, so if you change any code above
+  dynamic memory while it is running, the change might have no effect.
+
+  .runAsync() = An async function which runs the program like run()
+  does, waiting for any Promises that your functions return or yield. It
+  returns a Promise which is resolved when a QUIT instruction is executed,
+  or rejected if an error occurs. If signal is aborted while it is waiting
+  for a Promise, it stops at once.
 
   .save(buf) = A generator function you can define yourself, and is called
-  when saving the game. The argument is a Uint8Array, and you should
-  attempt to save its contents somewhere, and then return true if
-  successful or false if it failed.
+  when saving the game. The argument is a Uint8Array containing a save
+  file in the standard Quetzal format, and you should attempt to save its
+  contents somewhere, and then return true if successful or false if it
+  failed. If storage is set, the default saves to the slot named
+  saveSlot.
+
+  .saveInfo(name,autosave) = A normal function which returns the info
+  kept with a slot of storage: an object with the properties name,
+  release (zorkid), serial, location (the name of the object in global
+  variable 16, or ""), score and moves (variables 17 and 18, which are
+  hours and minutes if statusType is true), time (as from Date.now())
+  and autosave (a boolean). The info of an autosave also has the
+  properties text and parse, the addresses of the buffers of the READ
+  instruction.
+
+  .saveSlot = The name of the slot of storage which the default save and
+  restore functions use. The default is "save".
 
   .serial = The serial number of the story file, as six ASCII characters.
 
+  .screenHeight, .screenWidth = The size of the screen in lines and
+  characters, which is reported to V4+ games. The defaults are 24 and 80.
+
   .screen(window) = Normally null. You can set it to a generator function
   which will be called when the SCREEN opcode is executed if you want to
   implement split screen.
 
+  .setAttribute(obj,attr,value) = A normal function which sets the
+  attribute of an object, or clears it if value is false. Only allowed if
+  allowObjectWrites is true.
+
+  .setCursor(line,column) = Normally null. You can set it to a generator
+  function which will be called when the CURSET opcode (V4+) is executed,
+  to move the cursor in the upper window.
+
+  .setTextStyle(style) = Normally null. You can set it to a generator
+  function which will be called when the HLIGHT opcode (V4+) is executed.
+  The style is 0 for roman, or a combination of 1 (reverse video), 2
+  (bold), 4 (italic) and 8 (fixed pitch). If you do not set it, the
+  highlight function is called with the fixed pitch bit instead.
+
+  .signal = Normally null. Set it to an AbortSignal to be able to stop
+  the game; run() throws the signal's reason when it has been aborted.
+  This is checked every 10000 instructions and after each instruction
+  which calls your functions or yields, before the next one is executed,
+  so aborting it in a function such as read stops the game as soon as
+  that function returns. runAsync() also stops waiting for a Promise when
+  the signal is aborted.
+
   .split(height) = Normally null. You can set it to a generator function
   which will be called when the SPLIT opcode is executed if you want to
   implement split screen.
 
+  .storage = Normally null. Set it to an object which keeps save files in
+  named slots, such as the classes of storage.js, to save and restore
+  games without defining save and restore, and to use autosaveSlot,
+  deleteSave, listSaves and resume. Storage whose methods return
+  Promises needs runAsync().
+
+  .streamSelected(number) = A normal function which returns true if the
+  output stream (1 to 4) is selected.
+
   .statusType = False for score/moves and true for hours/minutes. Use this
-  to determine the meaning of arguments to updateStatusLine.
+  to determine the meaning of arguments to updateStatusLine. (V3 only.)
+
+  .strictMemory = A boolean, normally false. Set it to true to make the
+  game keep to the memory map: the instructions which write to memory
+  (including READ, LEX and output stream 3) may only write to dynamic
+  memory, and not to the header except for Flags 2. Violations are
+  reported to memoryViolation. The text which output stream 3 appends to
+  its table is not checked, only the length word of the table when it is
+  selected.
+
+  .timeLimit = Normally null. Set it to a number of milliseconds to stop
+  run() with a JSZM.TimeLimitError after it has been executing
+  instructions for that long. The time spent in your functions and while
+  run() has yielded is not counted, and the limit is checked every 10000
+  instructions.
+
+  .tokenizeText(text,dict) = A normal function which splits text into
+  words in the same way as the game does with the player's input, using
+  the word separators of the dictionary. It returns an array of objects
+  with the properties word, position (in the text) and address (of the
+  dictionary entry, or 0 if the word is not in the dictionary).
+
+  .unicodeTable = A string of the characters for ZSCII codes 155 onwards,
+  from the Unicode translation table of the story file, or the default
+  table in the Z-Machine Standards Document if it does not have one.
+
+  .unwatch(watcher) = A normal function which removes a watcher.
 
   .updateStatusLine(text,v18,v17) = Normally null, but can be a generator
   function if you are implementing the status line. It is called when a
   READ or USL instruction is executed. See statusType for the meaning of
-  v18 and v17. Return value is unused.
+  v18 and v17. Return value is unused. (V3 only; later versions draw the
+  status line themselves in the upper window.)
 
   .verify() = A normal function. Calling it will attempt to verify the
   story file, and returns true if successful or false on error. You can
   override it with your own verification function if you want to.
 
+  .version = The Z-machine version number of the story file.
+
+  .warn(error) = A normal function which is called with a
+  JSZM.ZMachineError whose policy is "warn". The default writes the
+  message with console.warn.
+
+  .watchAttribute(obj,attr,callback), .watchGlobal(number,callback),
+  .watchObject(obj,callback) = Normal functions which add a watcher and
+  return it, as an object with the properties type ("attribute",
+  "global" or "move"), object, attribute or number, and callback. The
+  callback is a normal function which is called as soon as the game sets
+  or clears the attribute of the object (with FSET or FCLEAR), changes
+  the value of the global variable (numbered from 0, which is variable
+  16), or moves the object (with MOVE or REMOVE). If obj, attr or number
+  is null, any will do. It is called with an object with the properties
+  type, object, attribute or number as for the watcher, previous and
+  value (the old and new values; for a move, the old and new parents),
+  pc (of the instruction) and turn (the number of lines of input so far,
+  so that changes made in response to the first command are in turn 1).
+  Changes which you make yourself are not seen, and neither are those
+  which the game makes by writing to memory directly, except with PUT on
+  the table of global variables. While there are no watchers, they cost
+  nothing.
+
+  .watchers = An array of the watchers, or null if there are none.
+
+  .window = The window selected by the SCREEN opcode, 0 (lower) or 1
+  (upper).
+
+  .yieldInterval = Normally null. Set it to a number for run() to yield
+  every that many instructions, so that a long routine in the game does
+  not hold up everything else. The value yielded is a Promise which is
+  resolved after other pending tasks (with setTimeout), and the value
+  which next() is called with is ignored.
+
   .zorkid = The ZORKID of the story file. This is what is normally
   displayed as the release number.
+
+  .zsciiFromString(str) = A normal function which converts a string to an
+  array of ZSCII codes. Characters which are not in the Unicode table are
+  converted to question marks.
+
+  .zsciiToString(code) = A normal function which converts a ZSCII code to
+  a string, using the Unicode table for codes 155 onwards.
 */
 
 "use strict";
@@ -91,39 +549,597 @@ const zsciiCharTable = [
   "*\n0123456789.,!?_#'\"/\\-:()"
 ];
 
+// In V1, newline is z-character 1 rather than part of A2
+const zsciiCharTableV1 = [
+  zsciiCharTable[0],
+  zsciiCharTable[1],
+  "*0123456789.,!?_#'\"/\\<-:()"
+];
+
+// Characters for ZSCII codes 155 to 223
+const defaultUnicodeTable = "\u00e4\u00f6\u00fc\u00c4\u00d6\u00dc\u00df\u00bb\u00ab\u00eb\u00ef\u00ff\u00cb\u00cf\u00e1\u00e9" +
+  "\u00ed\u00f3\u00fa\u00fd\u00c1\u00c9\u00cd\u00d3\u00da\u00dd\u00e0\u00e8\u00ec\u00f2\u00f9\u00c0" +
+  "\u00c8\u00cc\u00d2\u00d9\u00e2\u00ea\u00ee\u00f4\u00fb\u00c2\u00ca\u00ce\u00d4\u00db\u00e5\u00c5" +
+  "\u00f8\u00d8\u00e3\u00f1\u00f5\u00c3\u00d1\u00d5\u00e6\u00c6\u00e7\u00c7\u00fe\u00f0\u00de\u00d0" +
+  "\u00a3\u0153\u0152\u00a1\u00bf";
+
+// Returns the type and chunks of an IFF FORM, or null if it is not one
+function readIFF(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const getId = (offset) => String.fromCharCode(...bytes.subarray(offset, offset + 4));
+  if (bytes.length < 12 || getId(0) !== "FORM")
+    return null;
+  const end = Math.min(bytes.length, view.getUint32(4) + 8);
+  const chunks = [];
+  for (let offset = 12; offset + 8 <= end; ) {
+    const length = view.getUint32(offset + 4);
+    chunks.push({id: getId(offset), offset: offset, data: bytes.subarray(offset + 8, offset + 8 + length)});
+    offset += length + (length & 1) + 8;                // Chunks are padded to an even length
+  }
+  return {type: getId(8), chunks: chunks};
+}
+
+// Builds an IFF FORM of the given type from an array of [id, data] pairs
+function writeIFF(type, chunks) {
+  const length = chunks.reduce((p, [, data]) => p + data.length + (data.length & 1) + 8, 4);
+  const bytes = new Uint8Array(length + 8);
+  const view = new DataView(bytes.buffer);
+  const putId = (offset, id) => bytes.set(Array.from(id, c => c.charCodeAt(0)), offset);
+  putId(0, "FORM");
+  view.setUint32(4, length);
+  putId(8, type);
+  let offset = 12;
+  for (const [id, data] of chunks) {
+    putId(offset, id);
+    view.setUint32(offset + 4, data.length);
+    bytes.set(data, offset + 8);
+    offset += data.length + (data.length & 1) + 8;
+  }
+  return bytes;
+}
+
+// Dynamic memory as a difference from the story file, as in the CMem chunk of
+// a Quetzal file: the bytes XORed with the story file, with each run of zeros
+// written as a zero followed by the count of further zeros
+function compressMemory(mem, original, length) {
+  const data = [];
+  for (let e = 0; e < length; ) {
+    if (mem[e] != original[e]) {
+      data.push(mem[e] ^ original[e++]);
+      continue;
+    }
+    let run = 0;
+    for (e++; e < length && run < 255 && mem[e] == original[e]; e++)
+      run++;
+    data.push(0, run);
+  }
+  return new Uint8Array(data);
+}
+
+// The dynamic memory which compressMemory gave the data for, or null if the
+// data is too long
+function uncompressMemory(data, original, length) {
+  const mem = original.slice(0, length);
+  for (let i = 0, e = 0; i < data.length; i++) {
+    if (data[i])
+      mem[e++] ^= data[i];
+    else
+      e += data[++i] + 1;
+    if (e > length)
+      return null;
+  }
+  return mem;
+}
+
+// Host hooks may be generator functions, or ordinary functions which return
+// a value or a Promise; a Promise is yielded to whoever is driving run().
+function* hookResult(result) {
+  if (result && typeof result.next === "function")
+    return yield* result;
+  if (result && typeof result.then === "function")
+    return yield result;
+  return result;
+}
+
+const GeneratorFunction = Object.getPrototypeOf(function*(){}).constructor;
+
+function toBase64(bytes) {
+  let s = "";
+  for (const x of bytes)
+    s += String.fromCharCode(x);
+  return btoa(s);
+}
+
+function fromBase64(s) {
+  return Uint8Array.from(atob(s), c => c.charCodeAt(0));
+}
+
+// Replay a command log without a user interface, returning all of the text
+// printed until the log runs out or the game ends
+function playback(story, log, options) {
+  class EndOfLog {}
+  const game = new JSZM(story, options);
+  let output = "";
+  game.print = (text) => { output += text; };
+  game.read = game.readChar = game.save = game.restore = () => { throw new EndOfLog(); };
+  game.replay(log);
+  try {
+    for (const _ of game.run());
+  } catch (e) {
+    if (!(e instanceof EndOfLog))
+      throw e;
+  }
+  return output;
+}
+
 function splitBytes(bytes, ...counts) {
   return counts.reverse()
                .map(count => [bytes & ((1 << count) - 1), bytes >>>= count][0])
                .reverse();
 }
 
-class JSZM {
+class Blorb {
   constructor(arr) {
+    const bytes = arr instanceof Uint8Array ? arr : new Uint8Array(arr);
+    const form = readIFF(bytes);
+    if (!form || form.type !== "IFRS" || !form.chunks.length || form.chunks[0].id !== "RIdx")
+      throw new Error("Not a Blorb file.");
+    this.chunks = form.chunks;
+
+    const chunk = (id) => this.chunks.find(c => c.id === id);
+    const getUint32 = (data, offset) => new DataView(data.buffer, data.byteOffset, data.byteLength).getUint32(offset);
+
+    // Resource index: usage, resource number and the offset of each chunk
+    const index = this.chunks[0].data;
+    this.resources = Array.from({length: getUint32(index, 0)}, (_, i) => {
+      const usage = String.fromCharCode(...index.subarray(i * 12 + 4, i * 12 + 8));
+      const start = getUint32(index, i * 12 + 12);
+      const found = this.chunks.find(c => c.offset === start);
+      if (!found)
+        throw new Error("Blorb resource index refers to a missing chunk.");
+      return {
+        usage: usage,
+        number: getUint32(index, i * 12 + 8),
+        type: found.id,
+        // Resources such as AIFF sounds are IFF forms themselves, so keep their header
+        data: found.id === "FORM" ? bytes.subarray(start, start + found.data.length + 8) : found.data
+      };
+    });
+
+    const exec = this.getResource("Exec", 0);
+    this.executable = exec && exec.type === "ZCOD" ? exec.data : null;
+
+    const fspc = chunk("Fspc");
+    this.frontispiece = fspc ? getUint32(fspc.data, 0) : null;
+
+    const reln = chunk("RelN");
+    this.release = reln ? (reln.data[0] << 8) | reln.data[1] : null;
+
+    // Bibliographic metadata from the iFiction record
+    const ifmd = chunk("IFmd");
+    this.iFiction = ifmd ? new TextDecoder("utf-8").decode(ifmd.data) : null;
+    this.metadata = null;
+    if (this.iFiction) {
+      const unescape = (x) => x.replace(/&(?:#x([0-9a-f]+)|#(\d+)|(\w+));/gi, (entity, hex, dec, name) =>
+        hex ? String.fromCodePoint(parseInt(hex, 16)) :
+        dec ? String.fromCodePoint(+dec) :
+        {amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'"}[name] || entity);
+      this.metadata = {};
+      for (const section of ["identification", "bibliographic"]) {
+        const match = this.iFiction.match(new RegExp("<" + section + ">([^]*?)</" + section + ">"));
+        if (match) {
+          for (const [, name, value] of match[1].replace(/<br\s*\/>/g, "\n").matchAll(/<(\w+)>([^<]*)<\/\1>/g))
+            this.metadata[name] = unescape(value.trim());
+        }
+      }
+    }
+  }
+
+  getPicture(number) { return this.getResource("Pict", number); }
+
+  getResource(usage, number) {
+    return this.resources.find(r => r.usage === usage && r.number === number) || null;
+  }
+
+  getSound(number) { return this.getResource("Snd ", number); }
+}
+
+// Names of instructions as in the Z-Machine Standards Document, followed by
+// ">" if the instruction stores a result and "?" if it branches
+const instructionNames = {
+  "0OP": ["rtrue", "rfalse", "print", "print_ret", "nop", "save?", "restore?", "restart",
+          "ret_popped", "pop", "quit", "new_line", "show_status", "verify?", "extended", "piracy?"],
+  "1OP": ["jz?", "get_sibling>?", "get_child>?", "get_parent>", "get_prop_len>", "inc", "dec", "print_addr",
+          "call_1s>", "remove_obj", "print_obj", "ret", "jump", "print_paddr", "load>", "not>"],
+  "2OP": [null, "je?", "jl?", "jg?", "dec_chk?", "inc_chk?", "jin?", "test?",
+          "or>", "and>", "test_attr?", "set_attr", "clear_attr", "store", "insert_obj", "loadw>",
+          "loadb>", "get_prop>", "get_prop_addr>", "get_next_prop>", "add>", "sub>", "mul>", "div>",
+          "mod>", "call_2s>", "call_2n", "set_colour", "throw", null, null, null],
+  "VAR": ["call>", "storew", "storeb", "put_prop", "sread", "print_char", "print_num", "random>",
+          "push", "pull", "split_window", "set_window", "call_vs2>", "erase_window", "erase_line", "set_cursor",
+          "get_cursor", "set_text_style", "buffer_mode", "output_stream", "input_stream", "sound_effect", "read_char>", "scan_table>?",
+          "not>", "call_vn", "call_vn2", "tokenise", "encode_text", "copy_table", "print_table", "check_arg_count?"],
+  "EXT": ["save>", "restore>", "log_shift>", "art_shift>", "set_font>", null, null, null,
+          null, "save_undo>", "restore_undo>", "print_unicode", "check_unicode>"]
+};
+
+// Instructions which changed in later versions: kind, opcode, first version, new name
+const instructionChanges = [
+  ["0OP", 5, 4, "save>"], ["0OP", 6, 4, "restore>"], ["0OP", 9, 5, "catch>"], ["1OP", 15, 5, "call_1n"],
+  ["VAR", 0, 4, "call_vs>"], ["VAR", 4, 5, "aread>"]
+];
+
+// Instructions which only exist in some versions: kind, first and last
+// opcode, first and last version. SHOW_STATUS is left legal after V3, since
+// some games use it by accident.
+const instructionVersions = [
+  ["0OP", 5, 6, 1, 4], ["0OP", 13, 13, 3, 8], ["0OP", 15, 15, 5, 8], ["1OP", 8, 8, 4, 8],
+  ["2OP", 25, 25, 4, 8], ["2OP", 26, 28, 5, 8], ["VAR", 10, 11, 3, 8], ["VAR", 12, 18, 4, 8],
+  ["VAR", 19, 21, 3, 8], ["VAR", 22, 23, 4, 8], ["VAR", 24, 31, 5, 8], ["EXT", 0, 255, 5, 8]
+];
+
+function instructionExists(version, kind, opcode) {
+  return instructionVersions.every(([k, first, last, from, to]) =>
+    k !== kind || opcode < first || opcode > last || (version >= from && version <= to));
+}
+
+function instructionInfo(version, kind, opcode) {
+  if (!instructionExists(version, kind, opcode))
+    return null;
+  let name = instructionNames[kind][opcode];
+  for (const [k, o, v, n] of instructionChanges) {
+    if (k === kind && o === opcode && version >= v)
+      name = n;
+  }
+  return name ? {name: name.replace(/[>?]/g, ""), store: name.includes(">"), branch: name.includes("?")} : null;
+}
+
+// Decode the form, opcode and operands of the instruction at addr. The operand
+// types are 0 (large constant), 1 (small constant) and 2 (variable), and next
+// is the address following the operands (of the store byte, if any).
+function decodeInstruction(mem, addr, version) {
+  const first = mem[addr++];
+  let kind, opcode, types;
+  if (first < 0x80) {                                 // Long form
+    kind = "2OP";
+    opcode = first & 0x1F;
+    types = [first & 0x40 ? 2 : 1, first & 0x20 ? 2 : 1];
+  } else if (first == 0xBE && version >= 5) {         // Extended form
+    kind = "EXT";
+    opcode = mem[addr++];
+    types = [mem[addr++]];
+  } else if (first < 0xC0) {                          // Short form
+    kind = (first & 0x30) == 0x30 ? "0OP" : "1OP";
+    opcode = first & 0x0F;
+    types = kind == "0OP" ? [] : [(first >> 4) & 3];
+  } else {                                            // Variable form
+    kind = first & 0x20 ? "VAR" : "2OP";
+    opcode = first & 0x1F;
+    // XCALL and IXCALL have a second byte of operand types
+    types = kind == "VAR" && (opcode == 0xC || opcode == 0x1A) ? [mem[addr++], mem[addr++]] : [mem[addr++]];
+  }
+  if (kind == "EXT" || first >= 0xC0) {
+    const bytes = types;
+    types = [];
+    operandTypes: for (const x of bytes) {
+      for (let shift = 6; shift >= 0; shift -= 2) {
+        if (((x >> shift) & 3) == 3)                  // Omitted, and so are all which follow
+          break operandTypes;
+        types.push((x >> shift) & 3);
+      }
+    }
+  }
+  const operands = types.map(type => {
+    addr += type ? 1 : 2;
+    return type ? mem[addr - 1] : (mem[addr - 2] << 8) | mem[addr - 1];
+  });
+  return {kind: kind, opcode: opcode, types: types, operands: operands, next: addr};
+}
+
+// Frames of a call stack, newest first, ending with the main routine
+function callStackFrames(callStack, dataStack, pc) {
+  return Array.from({length: callStack.length + 1}, (_, i) => {
+    const frame = callStack[i];
+    return {
+      routine: frame && frame.routine || null,
+      pc: i ? callStack[i - 1].pc : pc,
+      locals: frame ? Array.from(frame.local) : [],
+      args: frame ? frame.args : 0,
+      stack: Array.from(i ? callStack[i - 1].ds : dataStack)
+    };
+  });
+}
+
+// Settings which a game forked from another copies from it
+const forkSettings = ["allowObjectWrites", "historySize", "instructionLimit", "isTandy", "randomSeed", "screenHeight",
+                      "screenWidth", "strictMemory", "timeLimit", "yieldInterval"];
+
+// A copy of a call frame, which does not share its stack or locals
+function copyFrame(frame) {
+  return Object.assign({}, frame, {ds: frame.ds.slice(), local: frame.local.slice()});
+}
+
+// Errors in running a story, with where they happened. The state has the
+// properties pc, kind, opcode, instruction and callStack, which are copied
+// to the error.
+class ZMachineError extends Error {
+  constructor(message, state = {}) {
+    const at = typeof state.pc === "number" ? " at " + state.pc.toString(16) + (state.instruction ? " (" + state.instruction + ")" : "") : "";
+    super("JSZM: " + message + at);
+    this.name = this.constructor.name;
+    this.pc = typeof state.pc === "number" ? state.pc : null;
+    this.kind = state.kind || null;
+    this.opcode = typeof state.opcode === "number" ? state.opcode : null;
+    this.instruction = state.instruction || null;
+    this.callStack = state.callStack || [];
+  }
+}
+
+// The action for an error in an error policy: the one for its class or the
+// nearest base class which has one, or "throw"
+function errorAction(policy, error) {
+  for (let c = error.constructor; c && c !== Error; c = Object.getPrototypeOf(c)) {
+    if (policy && Object.prototype.hasOwnProperty.call(policy, c.name))
+      return policy[c.name];
+  }
+  return "throw";
+}
+
+class InvalidOpcodeError extends ZMachineError {}
+class StackUnderflowError extends ZMachineError {}
+class InvalidObjectError extends ZMachineError {}
+class MemoryAccessError extends ZMachineError {}
+class DivisionByZeroError extends ZMachineError {}
+class CallStackUnderflowError extends ZMachineError {}
+class InstructionLimitError extends ZMachineError {}
+class TimeLimitError extends ZMachineError {}
+
+// Instructions which run() executes between checks of its limits and signal
+const limitCheckInterval = 10000;
+
+// A Promise of a value, which is rejected with the reason if the signal is aborted first
+function abortable(value, signal) {
+  if (signal.aborted)
+    return Promise.reject(signal.reason);
+  return new Promise((resolve, reject) => {
+    const abort = () => reject(signal.reason);
+    signal.addEventListener("abort", abort);
+    Promise.resolve(value).then(resolve, reject).then(() => signal.removeEventListener("abort", abort));
+  });
+}
+
+class Debugger {
+  constructor(game) {
+    this.breakpoints = new Set();
+    this.entered = null;
+    this.game = game;
+    this.machine = null;
+    this.onBreak = null;
+    this.routineBreakpoints = new Set();
+    this.stepDepth = 0;
+    this.stepMode = null;
+    this.trace = null;
+    this.watchpoints = [];
+    game.debugger = this;
+  }
+
+  // Frames of the call stack, newest first, ending with the main routine
+  get callStack() {
+    const {callStack, dataStack, pc} = this.machine;
+    return callStackFrames(callStack, dataStack, pc);
+  }
+
+  get dataStack() { return Array.from(this.machine.dataStack); }
+
+  get pc() { return this.machine.pc; }
+
+  // Called by run() when an instruction fails, before the error is thrown
+  *failed(machine, error, pc) {
+    this.machine = machine;
+    this.stepMode = null;
+    if (this.onBreak)
+      yield* hookResult(this.onBreak({reason: "error", pc: pc, error: error}));
+  }
+
+  // Called by run() before each instruction, to check whether to break
+  *instruction(machine) {
+    this.machine = machine;
+    const pc = machine.pc, depth = machine.callStack.length;
+    const entered = this.entered;
+    this.entered = null;
+    for (const w of this.watchpoints) {
+      const value = this.watchValue(w);
+      if (String(value) !== String(w.value)) {
+        const previous = w.value;
+        w.value = value;
+        this.stepMode = null;
+        if (this.onBreak)
+          yield* hookResult(this.onBreak({reason: "watch", pc: pc, watchpoint: w, previous: previous, value: value}));
+      }
+    }
+    const reason = this.breakpoints.has(pc) ? "breakpoint" :
+                   entered !== null && this.routineBreakpoints.has(entered) ? "routine" :
+                   this.stepMode === "step" ? "step" :
+                   this.stepMode === "over" && depth <= this.stepDepth ? "step" :
+                   this.stepMode === "out" && depth < this.stepDepth ? "step" : null;
+    if (reason) {
+      this.stepMode = null;
+      if (this.onBreak)
+        yield* hookResult(this.onBreak({reason: reason, pc: pc}));
+    }
+  }
+
+  pause() { this.stepMode = "step"; }
+
+  resume() { this.stepMode = null; }
+
+  step() { this.stepMode = "step"; }
+
+  stepOut() {
+    this.stepMode = "out";
+    this.stepDepth = this.machine ? this.machine.callStack.length : 0;
+  }
+
+  stepOver() {
+    this.stepMode = "over";
+    this.stepDepth = this.machine ? this.machine.callStack.length : 0;
+  }
+
+  // Called by run() after each instruction if there is a trace function
+  traced(machine, entry, next) {
+    const info = instructionInfo(this.game.version, entry.kind, entry.opcode) || {name: "illegal", store: false, branch: false};
+    entry.name = info.name;
+    if (info.store) {
+      entry.store = this.game.mem[next];
+      // Calls store their result when the routine returns
+      if (!info.name.startsWith("call"))
+        entry.result = entry.store == 0 ? machine.dataStack[machine.dataStack.length - 1] :
+                       entry.store < 16 ? machine.callStack[0].local[entry.store - 1] :
+                       this.game.get(this.game.getu(12) + 2 * (entry.store - 16));
+    }
+    if (info.branch)
+      entry.branch = machine.branched;
+    this.trace(entry);
+  }
+
+  unwatch(w) { this.watchpoints = this.watchpoints.filter(x => x !== w); }
+
+  watchAttribute(obj, attr) { return this.watch({type: "attribute", object: obj, attribute: attr}); }
+
+  watchGlobal(n) { return this.watch({type: "global", number: n}); }
+
+  watchMemory(address, length = 1) { return this.watch({type: "memory", address: address, length: length}); }
+
+  watch(w) {
+    w.value = this.watchValue(w);
+    this.watchpoints.push(w);
+    return w;
+  }
+
+  watchValue(w) {
+    const game = this.game;
+    if (w.type === "global")
+      return game.get(game.getu(12) + 2 * w.number);
+    if (w.type === "attribute")
+      return game.hasAttribute(w.object, w.attribute);
+    return Array.from(game.mem.subarray(w.address, w.address + w.length));
+  }
+}
+
+class JSZM {
+  constructor(arr, options) {
+    this.allowObjectWrites = false;
+    this.autosaveSlot = null;
+    this.blorb = null;
+    this.commandLog = null;
+    this.debugger = null;
     this.endText = 0;
+    this.eraseLine = null;
+    this.eraseWindow = null;
+    this.errorPolicy = {InvalidObjectError: "ignore"};
     this.fwords = null;
-    this.regBreak = null;
+    this.instructionLimit = null;
+    this.memoryViolation = null;
+    this.dictionary = null;
+    this.getCursor = null;
+    this.historySize = 0;
     this.isTandy = false;
     this.mem = null;
+    this.outputTables = null;
+    this.randomSeed = null;
+    this.replayLog = null;
+    this.replayPosition = 0;
+    this.resumeSlot = null;
+    this.rewindTarget = null;
+    this.saveSlot = "save";
     this.savedFlags = 0;
-    this.selfInsertingBreaks = null;
+    this.selectedStreams = {1: true, 4: false};
+    this.printCommand = null;
+    this.printTranscript = null;
     this.screen = null;
+    this.screenHeight = 24;
+    this.screenWidth = 80;
+    this.setCursor = null;
+    this.setTextStyle = null;
+    this.signal = null;
     this.split = null;
+    this.storage = null;
+    this.strictMemory = false;
+    this.timeLimit = null;
+    this.timeline = [];
     this.updateStatusLine = null;
     this.view = null;
-    this.vocabulary = null;
+    this.watchers = null;
+    this.window = 0;
+    this.yieldInterval = null;
 
     let mem = this.memInit = new Uint8Array(arr);
-    if (mem[0] != 3)
+    if (readIFF(mem)) {                               // Unwrap a Blorb file
+      this.blorb = new Blorb(mem);
+      if (!this.blorb.executable)
+        throw new Error("No Z-code executable in Blorb file.");
+      mem = this.memInit = this.blorb.executable.slice();
+    }
+    this.version = mem[0];
+    if (this.version < 1 || this.version > 8 || this.version == 6)
       throw new Error("Unsupported Z-code version.");
-    this.byteSwapped = !!(mem[1] & 1);
-    this.statusType = !!(mem[1] & 2);
+    this.byteSwapped = this.version < 4 && !!(mem[1] & 1);
+    this.statusType = this.version < 4 && !!(mem[1] & 2);
     this.serial = String.fromCharCode(...mem.slice(18, 24));
     this.zorkid = (mem[2] << (this.byteSwapped ? 0 : 8)) | (mem[3] << (this.byteSwapped ? 8 : 0));
+
+    // Memory is reinitialized by run(), but the object table can be inspected before then
+    this.mem = new Uint8Array(mem);
+    this.view = new DataView(this.mem.buffer);
+    this.fwords = this.getu(24);
+
+    // V5+ may have a Unicode translation table in the header extension and a custom alphabet table
+    const extension = this.version >= 5 ? this.getu(54) : 0;
+    const unicode = extension && this.getu(extension) >= 3 ? this.getu(extension + 6) : 0;
+    this.unicodeTable = unicode ?
+      Array.from({length: mem[unicode]}, (_, i) => String.fromCharCode(this.getu(unicode + 1 + i * 2))).join("") :
+      defaultUnicodeTable;
+    const alphabet = this.version >= 5 ? this.getu(52) : 0;
+    this.alphabets = alphabet ?
+      [0, 1, 2].map(i => Array.from(mem.subarray(alphabet + i * 26, alphabet + i * 26 + 26), c => this.zsciiToString(c)).join(""))
+               .map((a, i) => i == 2 ? "*\n" + a.slice(2) : a) :
+      this.version == 1 ? zsciiCharTableV1 : zsciiCharTable;
+    this.objSize = this.version < 4 ? 9 : 14;         // Bytes per object table entry
+    this.defprop = this.getu(10) - 2;
+    this.objects = this.defprop + (this.version < 4 ? 64 : 128) - this.objSize;  // Objects follow the default properties
+    this.numObjects = 0;                              // The object table ends where the first property table starts
+    for (let x = 1, end = 0x10000; this.objects + (x + 1) * this.objSize <= end; x++) {
+      end = Math.min(end, this.propTable(x));
+      this.numObjects = x;
+    }
+    this.dictionary = this.parseVocab(this.getu(8));
+    Object.assign(this, options);
+  }
+
+  checkObject(x) {
+    if (!(x >= 1 && x <= this.numObjects))
+      throw new Error("JSZM: Invalid object number");
+  }
+
+  checkObjectWrites() {
+    if (!this.allowObjectWrites)
+      throw new Error("JSZM: Object writes are not allowed");
+  }
+
+  async deleteSave(name) {
+    await this.storage.delete(name);
   }
 
   deserialize(ar) {
     var e, i, j, ds, cs, pc, vi, purbot;
 
+    const form = readIFF(ar);
+    if (form)
+      return form.type === "IFZS" ? this.deserializeQuetzal(form) : null;
+
+    // Otherwise this is the format used by older versions of JSZM, which is
+    // the dynamic memory followed by the stacks.
+
     function getUint8() {
       return ar[e++];
     }
@@ -156,38 +1172,245 @@ class JSZM {
 
     try {
       e = purbot = this.getu(14);
-      vi = new DataView(ar.buffer);
+      vi = new DataView(ar.buffer, ar.byteOffset, ar.byteLength);
       if (ar[2] != this.mem[2] || ar[3] != this.mem[3]) // ZORKID does not match
         return null;
       pc = getUint32();
       cs = new Array(getUint16());
       ds = Array.from({length: getUint16()}, getInt16);
       for(i=0; i < cs.length; i++) {
+        const frameFlags = getUint8();
         cs[i] = {};
-        cs[i].local = new Int16Array(getUint8());
+        cs[i].local = new Int16Array(frameFlags & 15);
+        cs[i].discard = !!(frameFlags & 16);
+        cs[i].args = frameFlags >> 5;
         cs[i].pc = getUint24();
         cs[i].ds = Array.from({length: getUint16()}, getInt16);
         for(j=0; j < cs[i].local.length; j++)
           cs[i].local[j] = getInt16();
       }
-      this.mem.set(new Uint8Array(ar.buffer, 0, purbot));
+      this.mem.set(ar.subarray(0, purbot));
       return [ds,cs,pc];
     } catch(e) {
       return null;
     }
   }
 
+  deserializeQuetzal(form) {
+    const purbot = this.getu(14);
+    const chunk = (id) => form.chunks.find(c => c.id === id);
+    const ifhd = chunk("IFhd"), cmem = chunk("CMem"), umem = chunk("UMem"), stks = chunk("Stks");
+    if (!ifhd || !(cmem || umem) || !stks || ifhd.data.length < 13)
+      return null;
+
+    // The release number, serial number and checksum must match the story file
+    const header = ifhd.data;
+    const matches = (from, to, offset) => this.memInit.subarray(from, to).every((x, i) => x === header[offset + i]);
+    if (!matches(2, 4, 0) || !matches(18, 24, 2) || !matches(28, 30, 8))
+      return null;
+    const pc = (header[10] << 16) | (header[11] << 8) | header[12];
+
+    try {
+      // Dynamic memory, either as a run-length encoded XOR with the story file or uncompressed
+      const dynamic = cmem ? uncompressMemory(cmem.data, this.memInit, purbot) :
+                      umem.data.length == purbot ? umem.data : null;
+      if (!dynamic)
+        return null;
+
+      // Stack frames, oldest first; the first is a dummy frame holding the main evaluation stack
+      const vi = new DataView(stks.data.buffer, stks.data.byteOffset, stks.data.byteLength);
+      const frames = [];
+      for (let e = 0; e < stks.data.length; ) {
+        const returnPC = vi.getUint32(e) >>> 8;
+        const flags = vi.getUint8(e + 3);
+        const frame = {
+          pc: flags & 16 ? returnPC : returnPC - 1,   // Point back at the store byte if there is one
+          local: new Int16Array(flags & 15),
+          discard: !!(flags & 16),
+          args: 32 - Math.clz32(vi.getUint8(e + 5)),
+          stack: new Array(vi.getUint16(e + 6))
+        };
+        e += 8;
+        for (let i = 0; i < frame.local.length; i++, e += 2)
+          frame.local[i] = vi.getInt16(e);
+        for (let i = 0; i < frame.stack.length; i++, e += 2)
+          frame.stack[i] = vi.getInt16(e);
+        frames.push(frame);
+      }
+      if (!frames.length)
+        return null;
+
+      // Our call frames keep the evaluation stack of their caller, newest first
+      const cs = frames.slice(1).map((frame, i) => ({
+        pc: frame.pc,
+        local: frame.local,
+        discard: frame.discard,
+        args: frame.args,
+        ds: frames[i].stack
+      })).reverse();
+      this.mem.set(dynamic);
+      return [frames[frames.length - 1].stack, cs, pc];
+    } catch(e) {
+      return null;
+    }
+  }
+
+  dictionaryEntries(dictionary) {
+    const dict = this.getDictionary(dictionary);
+    const keyLength = this.version < 4 ? 4 : 6;
+    return Array.from(dict.vocabulary.values(), address => ({
+      word: this.getText(address),
+      address: address,
+      data: this.mem.slice(address + keyLength, address + dict.entryLength)
+    })).sort((a, b) => a.address - b.address);
+  }
+  dictionaryKey(word) {
+    return this.encodeText(this.zsciiFromString(word.toLowerCase()));
+  }
+  // Encode ZSCII characters as Z-characters, truncated or padded to the
+  // length of a dictionary word, packed three to each two bytes
+  encodeText(codes, length = this.version < 4 ? 6 : 9) {
+    const shifts = this.version < 3 ? [0, 2, 3] : [0, 4, 5];
+    const zchars = [];
+    for (const code of codes) {
+      const char = this.zsciiToString(code);
+      const alphabet = this.alphabets.findIndex((a, i) => a.indexOf(char, i == 2 ? 1 : 0) >= 0);
+      if (code == 32)
+        zchars.push(0);
+      else if (alphabet >= 0)                         // Characters in the alphabets, after a shift if needed
+        zchars.push(...(alphabet ? [shifts[alphabet]] : []), this.alphabets[alphabet].indexOf(char, alphabet == 2 ? 1 : 0) + 6);
+      else                                            // Others are escaped as a 10-bit ZSCII code
+        zchars.push(shifts[2], 6, code >> 5, code & 31);
+    }
+    while (zchars.length < length)
+      zchars.push(5);
+    const result = new Uint8Array(length / 3 * 2);
+    for (let i = 0; i < length; i += 3) {
+      const word = (i + 3 >= length ? 0x8000 : 0) | (zchars[i] << 10) | (zchars[i + 1] << 5) | zchars[i + 2];
+      result[i / 3 * 2] = word >> 8;
+      result[i / 3 * 2 + 1] = word & 255;
+    }
+    return result;
+  }
+
+  // Run the game, replacing the output and input functions with ones which
+  // produce events; any Promises which run() yields are waited for, and
+  // text is passed on in runs with the same window and scripting
+  async *events() {
+    let turn = 1;
+    const event = (type, properties) => Object.assign({type: type, turn: turn}, properties);
+    const request = function*(properties) {
+      let respond;
+      const answered = new Promise(resolve => respond = resolve);
+      const value = yield event("input-request", Object.assign(properties, {respond: respond}));
+      return typeof value !== "undefined" ? value : yield answered;
+    };
+    this.eraseLine = function*(value) { yield event("window", {action: "erase-line", window: this.window, value: value}); };
+    this.eraseWindow = function*(window) { yield event("window", {action: "erase", window: window}); };
+    this.highlight = function*(fixpitch) { yield event("style", {fixpitch: fixpitch}); };
+    this.print = function*(text, scripting) {
+      if (text)
+        yield event("text", {text: text, window: this.window, scripting: scripting});
+    };
+    this.read = function*(maxlen) {
+      const line = yield* request({kind: "line", maxlen: maxlen});
+      turn++;
+      return line;
+    };
+    this.readChar = function*() { return yield* request({kind: "char"}); };
+    this.screen = function*(window) { yield event("window", {action: "select", window: window}); };
+    this.setCursor = function*(line, column) { yield event("window", {action: "cursor", window: this.window, line: line, column: column}); };
+    this.setTextStyle = function*(style) { yield event("style", {style: style}); };
+    this.split = function*(height) { yield event("window", {action: "split", window: 1, lines: height}); };
+    this.updateStatusLine = function*(text, v18, v17) {
+      yield event("status", this.statusType ? {location: text, hours: v17, minutes: v18} : {location: text, score: v17, moves: v18});
+    };
+    const it = this.run();
+    let text = null;
+    for (let step = it.next(); !step.done; ) {
+      if (text && !(step.value && step.value.type === "text" && step.value.window === text.window && step.value.scripting === text.scripting)) {
+        yield text;
+        text = null;
+      }
+      if (step.value && typeof step.value.then === "function") {
+        let value;
+        try {
+          value = await (this.signal ? abortable(step.value, this.signal) : step.value);
+        } catch (e) {
+          step = it.throw(e);
+          continue;
+        }
+        step = it.next(value);
+      } else if (step.value && step.value.type === "text") {
+        if (text)
+          text.text += step.value.text;
+        else
+          text = step.value;
+        step = it.next();
+      } else {
+        step = it.next(yield step.value);
+      }
+    }
+    if (text)
+      yield text;
+    yield event("quit", {});
+  }
+
+  // A new game which starts at a turn in the timeline, with the same settings
+  // and the timeline up to that turn, but none of the functions
+  fork(turn) {
+    const index = typeof turn === "undefined" ? this.timeline.length - 1 : this.timeline.findIndex(x => x.turn === turn);
+    if (index < 0)
+      throw new Error("JSZM: The turn is not in the timeline");
+    const target = this.timeline[index];
+    const game = new JSZM(this.memInit);
+    for (const name of forkSettings)
+      game[name] = this[name];
+    game.blorb = this.blorb;
+    game.errorPolicy = Object.assign({}, this.errorPolicy);
+    if (this.commandLog)
+      game.commandLog = Object.assign({}, this.commandLog, {input: this.commandLog.input.slice(0, target.logLength)});
+    game.timeline = this.timeline.slice(0, index + 1).map(x => Object.assign({}, x));
+    game.timeline[index].command = null;
+    game.rewindTarget = target;
+    return game;
+  }
+
   *genPrint(text) {
+    if (this.outputTables.length) {                   // While output stream 3 is selected,
+      const table = this.outputTables[this.outputTables.length - 1];
+      let length = this.getu(table);                  //   text is appended to the table
+      for (const code of this.zsciiFromString(text))  //   and nothing else is printed.
+        this.mem[table + 2 + length++] = code;
+      this.putu(table, length);
+      return;
+    }
     var x = this.get(16);
     if(x != this.savedFlags) {
       this.savedFlags = x;
-      yield* this.highlight(!!(x & 2));
+      yield* hookResult(this.highlight(!!(x & 2)));
     }
-    yield* this.print(text, !!(x&1));
+    if (this.selectedStreams[1])                      // Stream 1 is the screen
+      yield* hookResult(this.print(text, !!(x&1)));
+    if ((x & 1) && !this.window && this.printTranscript)  // Stream 2 is the transcript of the lower window,
+                                                          //   selected by the scripting bit
+      yield* hookResult(this.printTranscript(text));
+  }
+
+  // Copy the player's input to the transcript (only whole lines) and output stream 4
+  *genInput(text, line) {
+    if (line && (this.get(16) & 1) && this.printTranscript)
+      yield* hookResult(this.printTranscript(text + "\n"));
+    if (this.selectedStreams[4] && this.printCommand)
+      yield* hookResult(this.printCommand(line ? text + "\n" : text));
   }
 
   get(x) { return this.view.getInt16(x, this.byteSwapped); }
 
+  getDictionary(dictionary) {
+    return typeof dictionary === "number" && dictionary !== this.dictionary.address ? this.parseVocab(dictionary) : this.dictionary;
+  }
+
   getText(addr) {
     class StopIteration {}
     function* getEncodedChars() {
@@ -209,11 +1432,24 @@ class JSZM {
     for (;;) {
       try {
         const encodedChar = getNextEncodedChar();
+        if (this.version < 3 && encodedChar >= 2 && encodedChar <= 5) {
+          // V1-2: 2 and 3 shift to the next or previous alphabet for one character, 4 and 5 lock the shift
+          temporaryShift = (permanentShift + (encodedChar & 1 ? 2 : 1)) % 3;
+          if (encodedChar >= 4)
+            permanentShift = temporaryShift;
+          continue;
+        }
         switch (encodedChar) {
           case 0:
             output += " ";
             continue;
           case 1:
+            if (this.version == 1) {          // V1 has no abbreviations; 1 is a newline
+              output += "\n";
+              temporaryShift = permanentShift;
+              continue;
+            }
+            // falls through (V2 has a single abbreviation bank)
           case 2:
           case 3:
             output += this.getText(this.getu(this.fwords + ((encodedChar - 1) << 5 | getNextEncodedChar()) * 2) * 2);
@@ -230,15 +1466,10 @@ class JSZM {
             continue;
           default:
             if (encodedChar === 6 && temporaryShift === 2) {
-              const asciiByte = getNextEncodedChar() << 5 | getNextEncodedChar();
-              if (asciiByte === 13) {
-                output += "\n";
-              } else if (asciiByte !== 0) {
-                output += String.fromCharCode(asciiByte);
-              }
+              output += this.zsciiToString(getNextEncodedChar() << 5 | getNextEncodedChar());
               temporaryShift = permanentShift;
             } else {
-              output += zsciiCharTable[temporaryShift][encodedChar - 6];
+              output += this.alphabets[temporaryShift][encodedChar - 6];
               temporaryShift = permanentShift;
             }            
         }
@@ -256,141 +1487,470 @@ class JSZM {
   }
   getu(x) { return this.view.getUint16(x,this.byteSwapped); }
 
+  getProperty(x, p) {
+    this.checkObject(x);
+    const z = this.propFind(x, p);
+    if (!z)
+      return this.getu(this.defprop + 2 * p);
+    return this.propSize(z) == 1 ? this.mem[z] : this.getu(z);
+  }
+
+  hasAttribute(x, a) {
+    this.checkObject(x);
+    return !!(this.mem[this.objects + x * this.objSize + (a >> 3)] & (128 >> (a & 7)));
+  }
+
+  listTurns() {
+    return this.timeline.map(x => ({turn: x.turn, command: x.command}));
+  }
+
+  // The saves of this story file in the storage, newest first
+  async listSaves() {
+    const infos = await this.storage.list();
+    return infos.filter(x => x.release === this.zorkid && x.serial === this.serial).sort((a, b) => b.time - a.time);
+  }
+
+  // Call a hook which supplies input, taking its result from the command log
+  // being replayed instead if there is any left, and recording it if recording
+  *logInput(type, hook) {
+    let value;
+    if (this.replayLog && this.replayPosition < this.replayLog.input.length) {
+      const entry = this.replayLog.input[this.replayPosition++];
+      const [entryType, entryValue] = typeof entry === "string" ? ["read", entry] : Object.entries(entry)[0];
+      if (entryType !== type)
+        throw new Error("JSZM: Command log does not match the game");
+      value = type === "restore" && entryValue ? fromBase64(entryValue) : entryValue;
+    } else {
+      value = yield* hookResult(hook());
+    }
+    if (this.commandLog) {
+      this.commandLog.input.push(type === "read" ? value || "" :
+                                 {[type]: type === "restore" ? (value ? toBase64(new Uint8Array(value)) : null) :
+                                          type === "save" ? !!value : value});
+    }
+    return value;
+  }
+  lookupWord(word, dictionary) {
+    const key = String.fromCharCode(...this.dictionaryKey(word));
+    return this.getDictionary(dictionary).vocabulary.get(key) || 0;
+  }
+  moveObject(x, y) {
+    this.checkObjectWrites();
+    this.checkObject(x);
+    if (y)
+      this.checkObject(y);
+    for (let z = y; z; z = this.objLink(z, 0)) {
+      if (z == x)
+        throw new Error("JSZM: Cannot move an object inside itself");
+    }
+    this.objMove(x, y);
+  }
+
+  objectAttributes(x) {
+    this.checkObject(x);
+    return Array.from({length: this.version < 4 ? 32 : 48}, (_, a) => a).filter(a => this.hasAttribute(x, a));
+  }
+
+  objectChild(x) { this.checkObject(x); return this.objLink(x, 2); }
+
+  objectChildren(x) {
+    const children = [];
+    for (let z = this.objectChild(x); z; z = this.objLink(z, 1))
+      children.push(z);
+    return children;
+  }
+
+  objectName(x) {
+    this.checkObject(x);
+    const z = this.propTable(x);
+    return this.mem[z] ? this.getText(z + 1) : "";
+  }
+
+  objectParent(x) { this.checkObject(x); return this.objLink(x, 0); }
+
+  objectProperties(x) {
+    this.checkObject(x);
+    const properties = [];
+    for (let z = this.propFirst(x); this.mem[z]; ) {
+      const data = z + this.propHeaderSize(z);
+      properties.push({number: this.propNumber(z), address: data, size: this.propSize(data)});
+      z = data + this.propSize(data);
+    }
+    return properties;
+  }
+
+  objectSibling(x) { this.checkObject(x); return this.objLink(x, 1); }
+
+  // Object links are 0 = LOC (parent), 1 = NEXT (sibling) and 2 = FIRST (child)
+  objLink(x, n) {
+    if (this.version < 4)
+      return this.mem[this.objects + x * 9 + 4 + n];
+    return this.getu(this.objects + x * 14 + 6 + n * 2);
+  }
+
+  objMove(x, y) {
+    var w,z;
+    // Remove from old FIRST-NEXT chain
+    if(z=this.objLink(x,0)) {
+      if(this.objLink(z,2)==x) { // is x.loc.first=x?
+        this.setObjLink(z,2,this.objLink(x,1)); // x.loc.first=x.next
+      } else {
+        z=this.objLink(z,2); // z=x.loc.first
+        while(z!=x) {
+          w=z;
+          z=this.objLink(z,1); // z=z.next
+        }
+        this.setObjLink(w,1,this.objLink(x,1)); // w.next=x.next
+      }
+    }
+    // Insert at beginning of new FIRST-NEXT chain
+    this.setObjLink(x,0,y); // x.loc=y
+    if(y) {
+      this.setObjLink(x,1,this.objLink(y,2)); // x.next=y.first
+      this.setObjLink(y,2,x); // y.first=x
+    } else {
+      this.setObjLink(x,1,0); // x.next=0
+    }
+  }
+
+  // Parse a dictionary, which is looked up by the encoded form of words
   parseVocab(s) {
-    this.vocabulary = new Map();
+    const dict = {address: s, separators: "", entryLength: 0, vocabulary: new Map()};
 
     if (s === 0) {                                    // If the story file does not contain a dictionary..
-      this.regBreak = new RegExp("[^ \\n\\t]+","g");  //   use the default word separators
-      return;                                         //   and early exit.
+      dict.regBreak = new RegExp("[^ \\n\\t]+","g");  //   use the default word separators
+      return dict;                                    //   and early exit.
     }
 
     const strLen = this.mem[s++];
-    const selfInsertingBreaks = this.selfInsertingBreaks = String.fromCharCode(...this.mem.slice(s, s + strLen));
+    const separators = dict.separators = String.fromCharCode(...this.mem.slice(s, s + strLen));
     s += strLen;
 
-    const breaksRegexStr = selfInsertingBreaks.split("").map(x => (x.toUpperCase() == x.toLowerCase() ? "" : "\\") + x).join("");
+    const breaksRegexStr = separators.replace(/[\\\]\[^-]/g, "\\$&");
 
-    this.regBreak = new RegExp("[" + breaksRegexStr + "]|[^ \\n\\t" + breaksRegexStr + "]+", "g");
-    const wordLength = this.mem[s++];
-    let numWords = this.get(s);
+    dict.regBreak = new RegExp("[" + breaksRegexStr + "]|[^ \\n\\t" + breaksRegexStr + "]+", "g");
+    const wordLength = dict.entryLength = this.mem[s++];
+    let numWords = Math.abs(this.get(s));             // User dictionaries may be unsorted (negative count)
     s += 2;
     while (numWords--) {
-      this.vocabulary.set(this.getText(s), s);
+      const key = String.fromCharCode(...this.mem.subarray(s, s + (this.version < 4 ? 4 : 6)));
+      if (!dict.vocabulary.has(key))
+        dict.vocabulary.set(key, s);
       s += wordLength;
     }
+    return dict;
   }
 
   handleInput(str, t1, t2) {
     // Put text
-    str = str.toLowerCase().slice(0, this.mem[t1] - 1);
-    this.mem.set(Array.prototype.map.call(str, c => c.codePointAt(0)).concat([0]), t1 + 1);
-
-    function trimForVocabulary(str, limit = 6) {
-      let result = "";
-      for (const char of str) {
-        if (zsciiCharTable[0].includes(char))
-          limit -= 1;
-        else if (zsciiCharTable.some(table => table.includes(char)))
-          limit -= 2; // Shift + character
-        else
-          limit -= 4; // Shift2 + 06 + high + low
-        if (limit < 0)
-          break;
-        result += char;
-      }
-      return result;
+    const codes = this.zsciiFromString((str || "").toLowerCase().slice(0, this.mem[t1] - (this.version < 5 ? 1 : 0)));
+    if (this.version < 5) {
+      this.mem.set(codes.concat([0]), t1 + 1);
+    } else {
+      this.mem[t1 + 1] = codes.length;
+      this.mem.set(codes, t1 + 2);
     }
+    if (t2)
+      this.tokenize(t1, t2);
+  }
+
+  // Split ZSCII text into words, and look each of them up in a dictionary
+  findWords(str, dict) {
+    return [...str.matchAll(dict.regBreak)].map(({0: word, index: position}) => {
+      const key = String.fromCharCode(...this.encodeText(Array.from(word, c => c.charCodeAt(0))));
+      return {word: word, position: position, address: dict.vocabulary.get(key) || 0};
+    });
+  }
+
+  tokenize(t1, t2, dict = this.dictionary, keepUnknown = false) {
+    const start = this.version < 5 ? t1 + 1 : t1 + 2;
+    const end = this.version < 5 ? this.mem.indexOf(0, start) : start + this.mem[t1 + 1];
+    const str = String.fromCharCode(...this.mem.slice(start, end));
 
-    const tokens = [...str.matchAll(this.regBreak)];
+    const tokens = this.findWords(str, dict).slice(0, this.mem[t2]);
     this.mem[t2 + 1] = tokens.length;
-    for (const [index, {0: token, index: tokenPos}] of tokens.entries()) {
+    for (const [index, {word, position, address}] of tokens.entries()) {
       const addr = t2 + index * 4 + 2;
-      this.putu(addr, this.vocabulary.get(trimForVocabulary(token)));
-      this.mem[addr + 2] = token.length;
-      this.mem[addr + 3] = tokenPos + 1;
+      if (address || !keepUnknown)
+        this.putu(addr, address);
+      this.mem[addr + 2] = word.length;
+      this.mem[addr + 3] = position + start - t1;
+    }
+  }
+
+  highlight() {}
+
+  // Address of the first property entry of an object
+  propFirst(x) {
+    const z = this.propTable(x);
+    return z + this.mem[z] * 2 + 1;
+  }
+
+  // Address of the data of a property of an object, or 0 if it does not have it
+  propFind(x, p) {
+    for (let z = this.propFirst(x); this.mem[z]; ) {
+      const data = z + this.propHeaderSize(z);
+      if (this.propNumber(z) == p)
+        return data;
+      z = data + this.propSize(data);
     }
+    return 0;
   }
 
-  highlight() { return []; }
-  print() { return []; }
+  // Size of the property header starting at z
+  propHeaderSize(z) { return (this.version >= 4 && (this.mem[z] & 128)) ? 2 : 1; }
+
+  // Number of the property whose header starts at z
+  propNumber(z) { return this.mem[z] & (this.version < 4 ? 31 : 63); }
+
+  // Size of the property data starting at z
+  propSize(z) {
+    const x = this.mem[z - 1];
+    if (this.version < 4)
+      return (x >> 5) + 1;
+    if (x & 128)
+      return (x & 63) || 64;
+    return x & 64 ? 2 : 1;
+  }
+
+  propTable(x) { return this.getu(this.objects + x * this.objSize + (this.version < 4 ? 7 : 12)); }
+  print() {}
   put(x,y) { return this.view.setInt16(x,y,this.byteSwapped); }
+  putProperty(x, p, y) {
+    this.checkObjectWrites();
+    this.checkObject(x);
+    const z = this.propFind(x, p);
+    if (!z)
+      throw new Error("JSZM: Object does not have the property");
+    if (this.propSize(z) == 1)
+      this.mem[z] = y;
+    else
+      this.putu(z, y);
+  }
   putu(x,y) { return this.view.setUint16(x,y&65535,this.byteSwapped); }
-  read() { return []; }
-  restarted() { return []; }
-  restore() { return []; }
+  read() {}
+  record() {
+    if (this.randomSeed === null)
+      this.randomSeed = (Math.random() * 0xFFFFFFFF) >>> 0;
+    return this.commandLog = {story: {release: this.zorkid, serial: this.serial}, seed: this.randomSeed, input: []};
+  }
+  replay(log) {
+    if (log.story && (log.story.release !== this.zorkid || log.story.serial !== this.serial))
+      throw new Error("JSZM: Command log is for a different story");
+    this.randomSeed = log.seed;
+    this.replayLog = log;
+    this.replayPosition = 0;
+  }
+  *readChar() {
+    const str = yield* hookResult(this.read(1));
+    return str ? str[0] : "\n";
+  }
+  restarted() {}
+  *restore() {
+    if (!this.storage)
+      return null;
+    try {
+      const slot = yield* hookResult(this.storage.get(this.saveSlot));
+      return slot && !slot.info.autosave ? slot.data : null;
+    } catch (e) {
+      return null;
+    }
+  }
+  // Load a slot of the storage (the newest save of this story file if the
+  // name is omitted), for run() to continue from instead of the beginning
+  async resume(name) {
+    if (typeof name === "undefined") {
+      const [newest] = await this.listSaves();
+      if (!newest)
+        return false;
+      name = newest.name;
+    }
+    const slot = await this.storage.get(name);
+    if (!slot || slot.info.release !== this.zorkid || slot.info.serial !== this.serial)
+      return false;
+    this.resumeSlot = slot;
+    return true;
+  }
+  rewind(n = 1) {
+    const index = this.timeline.length - 1 - n;
+    if (!(n >= 1 && index >= 0))
+      return false;
+    this.rewindTarget = this.timeline[index];
+    this.timeline.length = index + 1;
+    this.timeline[index].command = null;
+    return true;
+  }
 
   *run() {
     var mem;
-    var globals,objects,fwords,defprop;
+    var globals,objects,fwords,defprop,routineOffset,stringOffset,staticBase,highBase;
 
-    let programCounter = null, callStack = null, dataStack = null;
+    const version = this.version;
+    let programCounter = null, callStack = null, dataStack = null, font = 1;
+    let current = null, currentPc = 0;                // The instruction being executed, for errors
+    let turn = 0;                                     // Lines of input so far, for the watchers
+    let branched = false;                             // Whether the last branch was taken, for the debugger
+    let budget = 0, granted = 0;                      // Instructions left until the limits are checked
+    let executed = 0, sinceYield = 0, waited = 0;
+    const started = Date.now();
 
     // Functions
-    function addr(x) {
-      return (x & 0xFFFF) << 1;
+    // Unpack a packed address; V7 adds the routine or string offset from the header
+    function addr(x, offset = 0) {
+      return (x & 0xFFFF) * (version < 4 ? 2 : version < 8 ? 4 : 8) + offset * 8;
     }
 
+    const call = (method, params, discard) => {
+      if(method) {
+        method = addr(method, routineOffset);
+        const numLocals = mem[method];
+        callStack.unshift({ds: dataStack, pc: programCounter, local: new Int16Array(numLocals), discard: discard, args: params.length, routine: method});
+        if (this.debugger)
+          this.debugger.entered = method;
+        dataStack = [];
+        programCounter = method + 1;
+        if (version < 5) {                            // Before V5, initial values of locals follow the header
+          for (let i = 0; i < numLocals; i++)
+            callStack[0].local[i] = pcget();
+        }
+        for (let i = 0; i < params.length && i < numLocals; i++) {
+          if (typeof params[i] !== "undefined")
+            callStack[0].local[i] = params[i];
+        }
+      } else if (!discard) {
+        store(0);
+      }
+    };
+
+    const machineError = (ErrorClass, message) => new ErrorClass(message, {
+      pc: currentPc,
+      kind: current && current.kind,
+      opcode: current && current.opcode,
+      instruction: current && current.instruction,
+      callStack: callStackFrames(callStack, dataStack, currentPc)
+    });
+
+    // Report an error in the current instruction. It is thrown unless the error
+    // policy says to warn or ignore it, and then the caller carries on.
+    const fail = (ErrorClass, message) => {
+      const error = machineError(ErrorClass, message);
+      const action = errorAction(this.errorPolicy, error);
+      if (action == "warn")
+        this.warn(error);
+      else if (action != "ignore")
+        throw error;
+    };
+
     const fetch = (x) => {
-      if(x==0) return dataStack.pop();
+      if(x==0) return dataStack.length ? dataStack.pop() : underflow();
       if(x<16) return callStack[0].local[x-1];
       return this.get(globals+2*x);
     };
 
     const flagset = (op0Nonshared, op1Nonshared) => { /* FIXME I know, these variable names suck */
       const op3Nonshared = 1 << (15 & ~op1Nonshared);
-      const op2Nonshared = objects + op0Nonshared * 9 + (op1Nonshared & 16 ? 2 : 0);
+      const op2Nonshared = objects + op0Nonshared * this.objSize + ((op1Nonshared >> 4) << 1);
       const opcNonshared = this.get(op2Nonshared);
       return [opcNonshared, op2Nonshared, op3Nonshared];
     };
 
+    const initHeader = () => {
+      if (version < 4) {
+        mem[1]&=3;
+        if(this.isTandy) mem[1]|=8;
+        if(!this.updateStatusLine) mem[1]|=16;
+        if(this.screen && this.split) mem[1]|=32;
+      } else {
+        mem[1]=this.setTextStyle ? 28 : 16;           // Fixed-pitch font; also bold and italic with setTextStyle
+        mem[30]=6;                                    // Interpreter number (IBM PC)
+        mem[31]=65;                                   // Interpreter version ("A")
+        mem[32]=this.screenHeight;
+        mem[33]=this.screenWidth;
+        if (version >= 5) {
+          this.putu(34,this.screenWidth);             // Screen size in units, with 1x1 unit characters
+          this.putu(36,this.screenHeight);
+          mem[38]=mem[39]=1;
+        }
+      }
+      this.put(16,this.savedFlags);
+    };
+
     const initRng = () => {
-      this.seed = (Math.random() * 0xFFFFFFFF) >>> 0;      
+      this.seed = this.randomSeed === null ? (Math.random() * 0xFFFFFFFF) >>> 0 : this.randomSeed >>> 0;
     };
 
     const init = () => {
       mem=this.mem=new Uint8Array(this.memInit);
       this.view=new DataView(mem.buffer);
-      mem[1]&=3;
-      if(this.isTandy) mem[1]|=8;
-      if(!this.updateStatusLine) mem[1]|=16;
-      if(this.screen && this.split) mem[1]|=32;
-      this.put(16,this.savedFlags);
-      if(!this.vocabulary) this.parseVocab(this.getu(8));
-      defprop=this.getu(10)-2;
+      initHeader();
+      defprop=this.defprop;
       globals=this.getu(12)-32;
       this.fwords=fwords=this.getu(24);
+      routineOffset=version == 7 ? this.getu(40) : 0;
+      stringOffset=version == 7 ? this.getu(42) : 0;
+      staticBase=this.getu(14);
+      highBase=this.getu(4);
+      this.outputTables=[];
+      this.selectedStreams={1: true, 4: false};
+      this.window=0;
       callStack=[];
       dataStack=[];
+      font=1;
       programCounter=this.getu(6);
-      objects=defprop+55;
+      objects=this.objects;
       initRng();
     };
 
-    const move = (x, y) => {
-      var w,z;
-      // Remove from old FIRST-NEXT chain
-      if(z=mem[objects+x*9+4]) {
-        if(mem[objects+z*9+6]==x) { // is x.loc.first=x?
-          mem[objects+z*9+6]=mem[objects+x*9+5]; // x.loc.first=x.next
-        } else {
-          z=mem[objects+z*9+6]; // z=x.loc.first
-          while(z!=x) {
-            w=z;
-            z=mem[objects+z*9+5]; // z=z.next
-          }
-          mem[objects+w*9+5]=mem[objects+x*9+5]; // w.next=x.next
+    const inMemory = (x, length) => {
+      if (x + length <= mem.length)
+        return true;
+      fail(MemoryAccessError, "Address " + x.toString(16) + " is out of range");
+      return false;
+    };
+
+    // In strict memory mode, games may only write to dynamic memory, and not to
+    // the header except for Flags 2
+    const writable = (x, length) => {
+      if (!this.strictMemory)
+        return true;
+      for (let i = x; i < x + length; i++) {
+        const region = i < 64 && i != 16 && i != 17 ? "header" : i < staticBase ? null : i < highBase ? "static" : "high";
+        if (region) {
+          if (this.memoryViolation)
+            this.memoryViolation(currentPc, i, region);
+          else
+            fail(MemoryAccessError, "Write to " + region + " memory at " + i.toString(16));
+          return false;
         }
       }
-      // Insert at beginning of new FIRST-NEXT chain
-      if(mem[objects+x*9+4]=y) { // x.loc=y
-        mem[objects+x*9+5]=mem[objects+y*9+6]; // x.next=y.first
-        mem[objects+y*9+6]=x; // y.first=x
-      } else {
-        mem[objects+x*9+5]=0; // x.next=0
-      }
+      return true;
+    };
+
+    const isObject = (x) => {
+      if (x >= 1 && x <= this.numObjects)
+        return true;
+      fail(InvalidObjectError, "Invalid object number " + x);
+      return false;
     };
 
-    const pcfetch = (x) => fetch(mem[programCounter++]);
+    // Move an object, telling the watchers
+    const move = (x, y) => {
+      if (!this.watchers)
+        return this.objMove(x, y);
+      const previous = this.objLink(x, 0);
+      this.objMove(x, y);
+      watched({type: "move", object: x, previous: previous, value: y});
+    };
+
+    // The address of the data of a property, which the object must have
+    const ownProperty = (x, p) => {
+      const z = this.propFind(x, p);
+      if (!z)
+        fail(ZMachineError, "Object " + x + " has no property " + p);
+      return z;
+    };
+
+    const objName = (x) => mem[this.propTable(x)] ? this.getText(this.propTable(x) + 1) : "";
 
     const pcget = () => {
       programCounter+=2;
@@ -408,505 +1968,1081 @@ class JSZM {
       var x=pcgetb();
       if(x&128) p=!p;
       if(x&64) x&=63; else x=((x&63)<<8)|pcgetb();
+      branched=!p;
       if(p) return;
       if(x==0 || x==1) return ret(x);
       if(x&0x2000) x-=0x4000;
       programCounter+=x-2;
     };
 
-    const propfind = (op0Nonshared, op1Nonshared) => {
-      var z = this.getu(objects + op0Nonshared * 9 + 7);
-      z += mem[z] * 2 + 1;
-      while (mem[z]) {
-        if ((mem[z] & 31) == op1Nonshared) {
-          return [true, z + 1];
-        } else {
-          z += (mem[z] >> 5) + 2;
-        }
-      }
-      return [false, 0];
-    };
-
     const ret = (x) => {
-      dataStack=callStack[0].ds;
-      programCounter=callStack[0].pc;
-      callStack.shift();
-      store(x);
+      if (!callStack.length) {
+        fail(CallStackUnderflowError, "Return from the main routine");
+        throw new ZMachineQuit();                     // There is nowhere to continue
+      }
+      const frame = callStack.shift();
+      dataStack=frame.ds;
+      programCounter=frame.pc;
+      if (!frame.discard)
+        store(x);
     };
 
     const store = (y) => {
       var x=pcgetb();
-      if(x==0) dataStack.push(y);
+      if(x==0) dataStack.push(y << 16 >> 16);
       else if(x<16) callStack[0].local[x-1]=y;
+      else if (this.watchers) putGlobal(x,y);
       else this.put(globals+2*x,y);
     };
 
+    // Write a global variable (x counting from 16), telling the watchers if it changes
+    const putGlobal = (x, y) => {
+      const previous = this.get(globals+2*x);
+      this.put(globals+2*x,y);
+      const value = this.get(globals+2*x);
+      if (value !== previous)
+        watched({type: "global", number: x-16, previous: previous, value: value});
+    };
+
+    const underflow = () => {
+      fail(StackUnderflowError, "Stack underflow");
+      return 0;
+    };
+
+    // Call the watchers which match a change, with where and when it happened
+    const watched = (change) => {
+      change.pc = currentPc;
+      change.turn = turn;
+      for (const w of this.watchers) {
+        if (w.type === change.type && ["number", "object", "attribute"].every(k => w[k] == null || w[k] === change[k]))
+          w.callback(change);
+      }
+    };
+
     const xfetch = (x) => {
-      if(x==0) return dataStack[dataStack.length-1];
+      if(x==0) return dataStack.length ? dataStack[dataStack.length-1] : underflow();
       if(x<16) return callStack[0].local[x-1];
       return this.get(globals+2*x);
     };
 
     const xstore = (x, y) => {
-      if(x==0) dataStack[dataStack.length-1]=y;
+      if(x==0) dataStack[dataStack.length ? dataStack.length-1 : underflow()]=y << 16 >> 16;
       else if(x<16) callStack[0].local[x-1]=y;
+      else if (this.watchers) putGlobal(x,y);
       else this.put(globals+2*x,y);
     };
 
-    // Initializations
-    init();
-    yield* this.restarted();
-    yield* this.highlight(!!(this.savedFlags&2));
-
-    // Main loop
-    main: for(;;) {
-      function getParameterByType(type) {
-        return [pcget, pcgetb, pcfetch, () => undefined][type]();
+    const zsave = function*() {
+      this.savedFlags = this.get(16);
+      const buf = this.serialize(dataStack,callStack,programCounter);
+      return yield* this.logInput("save", () => this.save(buf));
+    }.bind(this);
+
+    const zrestore = function*() {
+      this.savedFlags = this.get(16);
+      let restoreValue = yield* this.logInput("restore", () => this.restore());
+      if (restoreValue)
+        restoreValue = this.deserialize(restoreValue);
+      initHeader();
+      if (restoreValue) {
+        [dataStack, callStack, programCounter] = restoreValue;
+        this.outputTables = [];
       }
+      return !!restoreValue;
+    }.bind(this);
+
+    // The timeline: a snapshot of the machine is kept before each line of
+    // input, with the dynamic memory compressed against the story file
+    const takeSnapshot = (text, parse) => {
+      if (!(this.historySize > 0))
+        return;
+      const last = this.timeline[this.timeline.length - 1];
+      this.timeline.push({
+        turn: last ? last.turn + 1 : 1,
+        command: null,
+        memory: compressMemory(mem, this.memInit, staticBase),
+        callStack: callStack.map(copyFrame),
+        dataStack: dataStack.slice(),
+        pc: programCounter,
+        text: text,
+        parse: parse,
+        seed: this.seed,
+        font: font,
+        logLength: this.commandLog ? this.commandLog.input.length : 0
+      });
+      while (this.timeline.length > this.historySize)
+        this.timeline.shift();
+    };
 
-      class ZMachineQuit {};
-
-      /* Operation parameter ranges, for below:
-       * [000..031] :: 2 parameters, or variable parameters
-       * [128..143] :: 0 or 1 parameter (assume 1?)
-       * [176..191] :: no parsed parameters
-       * [224..255] :: variable parameters
-       */
-
-      const z0opInstructions = {
-        0x0: // RTRUE
-        () => { /* void */
-          ret(1);
-        },
-        0x1: // RFALSE
-        () => { /* void */
-          ret(0);
-        },
-        0x2: // PRINTI
-        function*() { /* void */
-          yield* this.genPrint(this.getText(programCounter));
-          programCounter=this.endText;
-        }.bind(this),
-        0x3: // PRINTR
-        function*() { /* void */
-          yield* this.genPrint(this.getText(programCounter) + "\n");
-          ret(1);
-        }.bind(this),
-        0x4: // NOOP
-        () => {}, /* void */
-        0x5: // SAVE
-        function*() { /* void */
-          this.savedFlags = this.get(16);
-          predicate(yield* this.save(this.serialize(dataStack,callStack,programCounter)));
-        }.bind(this),
-        0x6: // RESTORE
-        function*() { /* void */
-          this.savedFlags = this.get(16);
-          let restoreValue = yield* this.restore();
-          if (restoreValue)
-            restoreValue = this.deserialize(restoreValue);
-          this.put(16, this.savedFlags);
-          if (restoreValue) {
-            dataStack = z[0];
-            callStack = z[1];
-            programCounter = z[2];
-          }
-          predicate(restoreValue);
-        }.bind(this),
-        0x7: // RESTART
-        function*() { /* void */
-          init();
-          yield* this.restarted();
-        }.bind(this),
-        0x8: // RSTACK
-        () => { /* void */
-          ret(dataStack[dataStack.length-1]);
-        },
-        0x9: // FSTACK
-        () => { /* void */
-          dataStack.pop();
-        },
-        0xA: // QUIT
-        () => {
-          throw new ZMachineQuit();
-        },
-        0xB: // CRLF
-        function*() { /* void */
-          yield* this.genPrint("\n");
-        }.bind(this),
-        0xC: // USL (update status line)
-        function*() { /* void */
-          if (this.updateStatusLine)
-            yield* this.updateStatusLine(this.getText(this.getu(objects+xfetch(16)*9+7)+1),xfetch(18),xfetch(17));
-        }.bind(this),
-        0xD: // VERIFY
-        () => { /* void */
-          predicate(this.verify());
-        }
-      };
+    // Go back to the snapshot which rewind or fork chose, and return the
+    // buffers of the READ instruction it was taken at
+    const restoreSnapshot = () => {
+      const snapshot = this.rewindTarget;
+      this.rewindTarget = null;
+      mem.set(uncompressMemory(snapshot.memory, this.memInit, staticBase));
+      callStack = snapshot.callStack.map(copyFrame);
+      dataStack = snapshot.dataStack.slice();
+      programCounter = snapshot.pc;
+      this.seed = snapshot.seed;
+      turn = snapshot.turn - 1;
+      font = snapshot.font;
+      this.outputTables = [];
+      if (this.commandLog)
+        this.commandLog.input.length = Math.min(this.commandLog.input.length, snapshot.logLength);
+      return [snapshot.text, snapshot.parse];
+    };
+
+    // Keep the game in the autosave slot of the storage, as it is at a READ
+    // instruction with these buffers; if it cannot be kept, play goes on
+    const autosave = function*(text, parse) {
+      if (!this.storage || this.autosaveSlot === null)
+        return;
+      const info = Object.assign(this.saveInfo(this.autosaveSlot, true), {text: text, parse: parse});
+      try {
+        yield* hookResult(this.storage.set(this.autosaveSlot, this.serialize(dataStack,callStack,programCounter), info));
+      } catch (e) {}
+    }.bind(this);
+
+    // Read a line of input, and split it into words. If the game is rewound
+    // while the player is typing, it reads again at the earlier turn.
+    const readLine = function*(text, parse, rewound = false) {
+      let input;
+      for (;;) {
+        if (!rewound)
+          takeSnapshot(text, parse);
+        yield* autosave(text, parse);
+        yield*this.genPrint("");
+        if (version < 4 && this.updateStatusLine)
+          yield* hookResult(this.updateStatusLine(objName(xfetch(16)),xfetch(18),xfetch(17)));
+        const maxlen = mem[text] - (version < 5 ? 1 : 0);
+        input = String((yield* this.logInput("read", () => this.read(maxlen))) || "").slice(0, maxlen);
+        if (!this.rewindTarget)
+          break;
+        [text, parse] = restoreSnapshot();
+        rewound = true;
+      }
+      if (this.timeline.length)
+        this.timeline[this.timeline.length - 1].command = input;
+      turn++;
+      yield* this.genInput(input, true);
+      if (writable(text + 1, mem[text] + (version < 5 ? 0 : 1)))
+        this.handleInput(input, text, parse && writable(parse + 1, mem[parse] * 4 + 1) ? parse : 0);
+      if (version >= 5)
+        store(13);
+    }.bind(this);
+
+    // State of the machine, for the debugger
+    const machine = {
+      get callStack() { return callStack; },
+      get dataStack() { return dataStack; },
+      get pc() { return programCounter; },
+      get branched() { return branched; }
+    };
 
-      const z1opInstructions = {
-        0x0: // ZERO?
-        (a) => { /* unary */
-          predicate(!a);
-        },
-        0x1: // NEXT?
-        (op0Nonshared) => { /* unary */
-          const result = mem[objects + op0Nonshared * 9 + 5];
-          store(result);
+    // Instructions; the ones which are generator functions can yield
+    class ZMachineQuit {};
+
+    /* Operation parameter ranges, for below:
+     * [000..031] :: 2 parameters, or variable parameters
+     * [128..143] :: 0 or 1 parameter (assume 1?)
+     * [176..191] :: no parsed parameters
+     * [190]      :: extended instruction (V5+)
+     * [224..255] :: variable parameters
+     */
+
+    const z0opInstructions = {
+      0x0: // RTRUE
+      () => { /* void */
+        ret(1);
+      },
+      0x1: // RFALSE
+      () => { /* void */
+        ret(0);
+      },
+      0x2: // PRINTI
+      function*() { /* void */
+        const text = this.getText(programCounter);
+        programCounter=this.endText;
+        yield* this.genPrint(text);
+      }.bind(this),
+      0x3: // PRINTR
+      function*() { /* void */
+        yield* this.genPrint(this.getText(programCounter) + "\n");
+        ret(1);
+      }.bind(this),
+      0x4: // NOOP
+      () => {}, /* void */
+      0x5: // SAVE
+      function*() { /* void */
+        const result = yield* zsave();
+        if (version < 4)
           predicate(result);
-        },
-        0x2: // FIRST?
-        (op0Nonshared) => { /* unary */
-          const result = mem[objects + op0Nonshared * 9 + 6];
-          store(result);
+        else
+          store(result ? 1 : 0);
+      },
+      0x6: // RESTORE
+      function*() { /* void */
+        const result = yield* zrestore();
+        if (version < 4)
           predicate(result);
-        },
-        0x3: // LOC
-        (op0Nonshared) => { /* unary */
-          store(mem[objects + op0Nonshared * 9 + 4]);
-        },
-        0x4: // PTSIZE
-        (op0Nonshared) => { /* unary */
-          store((mem[(op0Nonshared - 1) & 65535] >> 5) + 1);
-        },
-        0x5: // INC
-        (loc) => { /* unary */
-          const tmp = xfetch(loc);
-          xstore(loc, tmp + 1);
-        },
-        0x6: // DEC
-        (loc) => { /* unary */
-          const tmp = xfetch(loc);
-          xstore(loc, tmp - 1);
-        },
-        0x7: // PRINTB
-        function*(strAddr) { /* unary */
-          yield* this.genPrint(this.getText(strAddr & 65535));
-        }.bind(this),
-
-        0x9: // REMOVE
-        (op0Nonshared) => { /* unary */
+        else
+          store(result ? 2 : 0);
+      },
+      0x7: // RESTART
+      function*() { /* void */
+        init();
+        yield* hookResult(this.restarted());
+      }.bind(this),
+      0x8: // RSTACK
+      () => { /* void */
+        ret(fetch(0));
+      },
+      0x9: // FSTACK (V1-4), CATCH (V5+)
+      () => { /* void */
+        if (version < 5)
+          fetch(0);
+        else
+          store(callStack.length);
+      },
+      0xA: // QUIT
+      () => {
+        throw new ZMachineQuit();
+      },
+      0xB: // CRLF
+      function*() { /* void */
+        yield* this.genPrint("\n");
+      }.bind(this),
+      0xC: // USL (update status line)
+      function*() { /* void */
+        if (this.updateStatusLine)
+          yield* hookResult(this.updateStatusLine(objName(xfetch(16)),xfetch(18),xfetch(17)));
+      }.bind(this),
+      0xD: // VERIFY
+      () => { /* void */
+        predicate(this.verify());
+      },
+      0xF: // ORIGINAL? (piracy)
+      () => { /* void */
+        predicate(true);
+      }
+    };
+
+    const z1opInstructions = {
+      0x0: // ZERO?
+      (a) => { /* unary */
+        predicate(!a);
+      },
+      0x1: // NEXT?
+      (op0Nonshared) => { /* unary */
+        const result = isObject(op0Nonshared) ? this.objLink(op0Nonshared, 1) : 0;
+        store(result);
+        predicate(result);
+      },
+      0x2: // FIRST?
+      (op0Nonshared) => { /* unary */
+        const result = isObject(op0Nonshared) ? this.objLink(op0Nonshared, 2) : 0;
+        store(result);
+        predicate(result);
+      },
+      0x3: // LOC
+      (op0Nonshared) => { /* unary */
+        store(isObject(op0Nonshared) ? this.objLink(op0Nonshared, 0) : 0);
+      },
+      0x4: // PTSIZE
+      (op0Nonshared) => { /* unary */
+        store(op0Nonshared ? this.propSize(op0Nonshared & 65535) : 0);
+      },
+      0x5: // INC
+      (loc) => { /* unary */
+        const tmp = xfetch(loc);
+        xstore(loc, tmp + 1);
+      },
+      0x6: // DEC
+      (loc) => { /* unary */
+        const tmp = xfetch(loc);
+        xstore(loc, tmp - 1);
+      },
+      0x7: // PRINTB
+      function*(strAddr) { /* unary */
+        yield* this.genPrint(this.getText(strAddr & 65535));
+      }.bind(this),
+      0x8: // CALL1 (V4+)
+      (method) => { /* unary */
+        call(method, [], false);
+      },
+      0x9: // REMOVE
+      (op0Nonshared) => { /* unary */
+        if (isObject(op0Nonshared))
           move(op0Nonshared, 0);
-        },
-        0xA: // PRINTD
-        function*(strAddr) { /* unary */
-          yield* this.genPrint(this.getText(this.getu(objects + strAddr * 9 + 7) + 1));
-        }.bind(this),
-        0xB: // RETURN
-        (retval) => { /* unary */
-          ret(retval);
-        },
-        0xC: // JUMP
-        (offset) => { /* unary */
-          programCounter += offset - 2;
-        },
-        0xD: // PRINT
-        function*(strAddr) { /* unary */
-          yield* this.genPrint(this.getText(addr(strAddr)));
-        }.bind(this),
-        0xE: // VALUE
-        (loc) => { /* unary */
-          store(xfetch(loc));
-        },
-        0xF: // BCOM (binary complement)
-        (a) => { /* unary */
+      },
+      0xA: // PRINTD
+      function*(strAddr) { /* unary */
+        if (isObject(strAddr))
+          yield* this.genPrint(objName(strAddr));
+      }.bind(this),
+      0xB: // RETURN
+      (retval) => { /* unary */
+        ret(retval);
+      },
+      0xC: // JUMP
+      (offset) => { /* unary */
+        programCounter += offset - 2;
+      },
+      0xD: // PRINT
+      function*(strAddr) { /* unary */
+        yield* this.genPrint(this.getText(addr(strAddr, stringOffset)));
+      }.bind(this),
+      0xE: // VALUE
+      (loc) => { /* unary */
+        store(xfetch(loc));
+      },
+      0xF: // BCOM (binary complement) (V1-4), ICALL1 (V5+)
+      (a) => { /* unary */
+        if (version < 5)
           store(~a);
-        }
-      };
+        else
+          call(a, [], true);
+      }
+    };
 
-      const z2opInstructions = {
-        0x01: // EQUAL?
-        (key, ...values) => { /* vararg */
-          predicate(typeof key === "undefined" || values.includes(key));
-        },
-        0x02: // LESS?
-        (a, b) => { /* vararg */
-          predicate(a < b);
-        },
-        0x03: // GRTR?
-        (a, b) => { /* vararg */
-          predicate(a > b);
-        },
-        0x04: // DLESS?
-        (a, b) => { /* vararg */
-          const tmp = xfetch(a) - 1;
-          xstore(a, tmp);
-          predicate(tmp < b);
-        },
-        0x05: // IGRTR?
-        (a, b) => { /* vararg */
-          const tmp = xfetch(a) + 1;
-          xstore(a, tmp);
-          predicate(tmp > b);
-        },
-        0x06: // IN?
-        (op0Nonshared, op1Nonshared) => { /* vararg */
-          predicate(mem[objects + op0Nonshared * 9 + 4] == op1Nonshared);
-        },
-        0x07: // BTST
-        (a, bits) => { /* vararg */
-          predicate((a & bits) == bits);
-        },
-        0x08: // BOR
-        (a, b) => { /* vararg */
-          store(a | b);
-        },
-        0x09: // BAND
-        (a, b) => { /* vararg */
-          store(a & b);
-        },
-        0x0A: // FSET?
-        (op0Nonshared, op1Nonshared) => { /* vararg */
-          const [opcNonshared, op2Nonshared, op3Nonshared] = flagset(op0Nonshared, op1Nonshared);
-          predicate(opcNonshared & op3Nonshared);
-        },
-        0x0B: // FSET
-        (op0Nonshared, op1Nonshared) => { /* vararg */
-          const [opcNonshared, op2Nonshared, op3Nonshared] = flagset(op0Nonshared, op1Nonshared);
-          this.put(op2Nonshared, opcNonshared | op3Nonshared);
-        },
-        0x0C: // FCLEAR
-        (op0Nonshared, op1Nonshared) => { /* vararg */
-          const [opcNonshared, op2Nonshared, op3Nonshared] = flagset(op0Nonshared, op1Nonshared);
-          this.put(op2Nonshared, opcNonshared & ~op3Nonshared);
-        },
-        0x0D: // SET
-        (loc, value) => { /* vararg */
-          xstore(loc, value);
-        },
-        0x0E: // MOVE
-        (op0Nonshared, op1Nonshared) => { /* vararg */
+    const z2opInstructions = {
+      0x01: // EQUAL?
+      (key, ...values) => { /* vararg */
+        predicate(typeof key === "undefined" || values.includes(key));
+      },
+      0x02: // LESS?
+      (a, b) => { /* vararg */
+        predicate(a < b);
+      },
+      0x03: // GRTR?
+      (a, b) => { /* vararg */
+        predicate(a > b);
+      },
+      0x04: // DLESS?
+      (a, b) => { /* vararg */
+        const tmp = (xfetch(a) - 1) << 16 >> 16;
+        xstore(a, tmp);
+        predicate(tmp < b);
+      },
+      0x05: // IGRTR?
+      (a, b) => { /* vararg */
+        const tmp = (xfetch(a) + 1) << 16 >> 16;
+        xstore(a, tmp);
+        predicate(tmp > b);
+      },
+      0x06: // IN?
+      (op0Nonshared, op1Nonshared) => { /* vararg */
+        predicate(isObject(op0Nonshared) && this.objLink(op0Nonshared, 0) == op1Nonshared);
+      },
+      0x07: // BTST
+      (a, bits) => { /* vararg */
+        predicate((a & bits) == bits);
+      },
+      0x08: // BOR
+      (a, b) => { /* vararg */
+        store(a | b);
+      },
+      0x09: // BAND
+      (a, b) => { /* vararg */
+        store(a & b);
+      },
+      0x0A: // FSET?
+      (op0Nonshared, op1Nonshared) => { /* vararg */
+        if (!isObject(op0Nonshared))
+          return predicate(false);
+        const [opcNonshared, op2Nonshared, op3Nonshared] = flagset(op0Nonshared, op1Nonshared);
+        predicate(opcNonshared & op3Nonshared);
+      },
+      0x0B: // FSET
+      (op0Nonshared, op1Nonshared) => { /* vararg */
+        if (!isObject(op0Nonshared))
+          return;
+        const [opcNonshared, op2Nonshared, op3Nonshared] = flagset(op0Nonshared, op1Nonshared);
+        this.put(op2Nonshared, opcNonshared | op3Nonshared);
+        if (this.watchers && !(opcNonshared & op3Nonshared))
+          watched({type: "attribute", object: op0Nonshared, attribute: op1Nonshared, previous: false, value: true});
+      },
+      0x0C: // FCLEAR
+      (op0Nonshared, op1Nonshared) => { /* vararg */
+        if (!isObject(op0Nonshared))
+          return;
+        const [opcNonshared, op2Nonshared, op3Nonshared] = flagset(op0Nonshared, op1Nonshared);
+        this.put(op2Nonshared, opcNonshared & ~op3Nonshared);
+        if (this.watchers && (opcNonshared & op3Nonshared))
+          watched({type: "attribute", object: op0Nonshared, attribute: op1Nonshared, previous: true, value: false});
+      },
+      0x0D: // SET
+      (loc, value) => { /* vararg */
+        xstore(loc, value);
+      },
+      0x0E: // MOVE
+      (op0Nonshared, op1Nonshared) => { /* vararg */
+        if (isObject(op0Nonshared) && isObject(op1Nonshared))
           move(op0Nonshared, op1Nonshared);
-        },
-        0x0F: // GET
-        (op0Nonshared, op1Nonshared) => { /* vararg */
-          store(this.get((op0Nonshared + op1Nonshared * 2) & 65535));
-        },
-        0x10: // GETB
-        (op0Nonshared, op1Nonshared) => { /* vararg */
-          store(mem[(op0Nonshared + op1Nonshared) & 65535]);
-        },
-        0x11: // GETP
-        (op0Nonshared, op1Nonshared) => { /* vararg */
-          let found, op3Nonshared;
-          [found, op3Nonshared] = propfind(op0Nonshared, op1Nonshared);
-          if (found) {
-            store(mem[op3Nonshared - 1] & 32 ? this.get(op3Nonshared) : mem[op3Nonshared]);
-          } else {
-            store(this.get(defprop + 2 * op1Nonshared));
-          }
-        },
-        0x12: // GETPT
-        (op0Nonshared, op1Nonshared) => { /* vararg */
-          const [, op3Nonshared] = propfind(op0Nonshared, op1Nonshared);
-          store(op3Nonshared);
-        },
-        0x13: // NEXTP
-        (op0Nonshared, op1Nonshared) => { /* vararg */
-          if (op1Nonshared) {
-            // Return next property
-            const [, op3Nonshared] = propfind(op0Nonshared, op1Nonshared);
-            store(mem[op3Nonshared + (mem[op3Nonshared - 1] >> 5) + 1] & 31);
-          } else {
-            // Return first property
-            const firstProp = this.getu(objects + op0Nonshared * 9 + 7); /* FIXME I'm trusting the comment here to name the variable - I have no clue what this actually does */
-            store(mem[firstProp + mem[firstProp] * 2 + 1] & 31);
-          }
-        },
-        0x14: // ADD
-        (a, b) => { /* vararg */
-          store(a + b);
-        },
-        0x15: // SUB
-        (a, b) => { /* vararg */
-          store(a - b);
-        },
-        0x16: // MUL
-        (a, b) => { /* vararg */
-          store(Math.imul(a, b));
-        },
-        0x17: // DIV
-        (a, b) => { /* vararg */
-          store(Math.trunc(a / b));
-        },
-        0x18: // MOD
-        (a, b) => { /* vararg */
-          store(a % b);
+      },
+      0x0F: // GET
+      (op0Nonshared, op1Nonshared) => { /* vararg */
+        const op2Nonshared = (op0Nonshared + op1Nonshared * 2) & 65535;
+        store(inMemory(op2Nonshared, 2) ? this.get(op2Nonshared) : 0);
+      },
+      0x10: // GETB
+      (op0Nonshared, op1Nonshared) => { /* vararg */
+        const op2Nonshared = (op0Nonshared + op1Nonshared) & 65535;
+        store(inMemory(op2Nonshared, 1) ? mem[op2Nonshared] : 0);
+      },
+      0x11: // GETP
+      (op0Nonshared, op1Nonshared) => { /* vararg */
+        if (!isObject(op0Nonshared))
+          return store(0);
+        const op3Nonshared = this.propFind(op0Nonshared, op1Nonshared);
+        if (op3Nonshared) {
+          store(this.propSize(op3Nonshared) == 1 ? mem[op3Nonshared] : this.get(op3Nonshared));
+        } else {
+          store(this.get(defprop + 2 * op1Nonshared));
         }
-      };
+      },
+      0x12: // GETPT
+      (op0Nonshared, op1Nonshared) => { /* vararg */
+        store(isObject(op0Nonshared) ? this.propFind(op0Nonshared, op1Nonshared) : 0);
+      },
+      0x13: // NEXTP
+      (op0Nonshared, op1Nonshared) => { /* vararg */
+        if (!isObject(op0Nonshared)) {
+          store(0);
+        } else if (op1Nonshared) {
+          // Return next property
+          const op3Nonshared = ownProperty(op0Nonshared, op1Nonshared);
+          store(op3Nonshared ? this.propNumber(op3Nonshared + this.propSize(op3Nonshared)) : 0);
+        } else {
+          // Return first property
+          store(this.propNumber(this.propFirst(op0Nonshared)));
+        }
+      },
+      0x14: // ADD
+      (a, b) => { /* vararg */
+        store(a + b);
+      },
+      0x15: // SUB
+      (a, b) => { /* vararg */
+        store(a - b);
+      },
+      0x16: // MUL
+      (a, b) => { /* vararg */
+        store(Math.imul(a, b));
+      },
+      0x17: // DIV
+      (a, b) => { /* vararg */
+        if (!b)
+          fail(DivisionByZeroError, "Division by zero");
+        store(b ? Math.trunc(a / b) : 0);
+      },
+      0x18: // MOD
+      (a, b) => { /* vararg */
+        if (!b)
+          fail(DivisionByZeroError, "Division by zero");
+        store(b ? a % b : 0);
+      },
+      0x19: // CALL2 (V4+)
+      (method, ...params) => { /* vararg */
+        call(method, params, false);
+      },
+      0x1A: // ICALL2 (V5+)
+      (method, ...params) => { /* vararg */
+        call(method, params, true);
+      },
+      0x1B: // COLOR (V5+)
+      () => {}, /* vararg */
+      0x1C: // THROW (V5+)
+      (retval, frame) => { /* vararg */
+        callStack.splice(0, callStack.length - frame);
+        ret(retval);
+      }
+    };
 
-      const zVarInstructions = {
-        0x0: // CALL
-        (method, ...params) => { /* vararg */
-          if(method) {
-            const tmp = mem[method = addr(method)];
-            callStack.unshift({dataStack: dataStack, programCounter: programCounter, local: new Int16Array(tmp)});
-            dataStack = [];
-            programCounter = method + 1;
-            for (let i = 0; i < mem[method]; i++)
-              callStack[0].local[i] = pcget();
-            if (params.length > 0 && typeof params[0] !== "undefined" && mem[method] > 0)
-              callStack[0].local[0] = params[0];
-            if (params.length > 1 && typeof params[1] !== "undefined" && mem[method] > 1)
-              callStack[0].local[1] = params[1];
-            if (params.length > 2 && typeof params[2] !== "undefined" && mem[method] > 2)
-              callStack[0].local[2] = params[2];
-          } else {
-            store(0);
-          }
-        },
-        0x1: // PUT
-        (op0Nonshared, op1Nonshared, op2Nonshared) => { /* vararg */
-          this.put((op0Nonshared + op1Nonshared * 2) & 65535, op2Nonshared);
-        },
-        0x2: // PUTB
-        (op0Nonshared, op1Nonshared, op2Nonshared) => { /* vararg */
-          mem[(op0Nonshared + op1Nonshared) & 65535] = op2Nonshared;
-        },
-        0x3: // PUTP
-        (op0Nonshared, op1Nonshared, op2Nonshared) => { /* vararg */
-          const [, op3Nonshared] = propfind(op0Nonshared, op1Nonshared);
-          if (mem[op3Nonshared - 1] & 32) {
-            this.put(op3Nonshared, op2Nonshared);
-          } else {
-            mem[op3Nonshared] = op2Nonshared;
-          }
-        },
-        0x4: // READ
-        function*(op0Nonshared, op1Nonshared) { /* vararg */
-          yield*this.genPrint("");
-          if (this.updateStatusLine)
-            yield* this.updateStatusLine(this.getText(this.getu(objects+xfetch(16)*9+7)+1),xfetch(18),xfetch(17));
-          this.handleInput(yield* this.read(mem[op0Nonshared & 65535]),
-                           op0Nonshared & 65535,
-                           op1Nonshared & 65535);
-        }.bind(this),
-        0x5: // PRINTC
-        function*(op0Nonshared) { /* vararg */
-          yield* this.genPrint(op0Nonshared == 13 ? "\n" :
-                               op0Nonshared ? String.fromCharCode(op0Nonshared) : "");
-        }.bind(this),
-        0x6: // PRINTN
-        function*(op0Nonshared) { /* vararg */
-          yield* this.genPrint(String(op0Nonshared));
-        }.bind(this),
-        0x7: // RANDOM
-        (range) => { /* vararg */
-          if (range <= 0) {             // If range is non-positive, reseed the PRNG.
-            if (range === 0) {
-              initRng();                // If 0, seed using Math.random().
-            } else {
-              this.seed = (range >>> 0); // If negative, seed with the specified value.
-            }
-            store(0);                   // Reseeding always returns 0.
+    const zVarInstructions = {
+      0x0: // CALL
+      (method, ...params) => { /* vararg */
+        call(method, params, false);
+      },
+      0x1: // PUT
+      (op0Nonshared, op1Nonshared, op2Nonshared) => { /* vararg */
+        const op3Nonshared = (op0Nonshared + op1Nonshared * 2) & 65535;
+        if (!(inMemory(op3Nonshared, 2) && writable(op3Nonshared, 2)))
+          return;
+        if (this.watchers && op3Nonshared >= globals+32 && op3Nonshared < globals+512 && !((op3Nonshared - globals) & 1))
+          putGlobal((op3Nonshared - globals) >> 1, op2Nonshared);
+        else
+          this.put(op3Nonshared, op2Nonshared);
+      },
+      0x2: // PUTB
+      (op0Nonshared, op1Nonshared, op2Nonshared) => { /* vararg */
+        const op3Nonshared = (op0Nonshared + op1Nonshared) & 65535;
+        if (inMemory(op3Nonshared, 1) && writable(op3Nonshared, 1))
+          mem[op3Nonshared] = op2Nonshared;
+      },
+      0x3: // PUTP
+      (op0Nonshared, op1Nonshared, op2Nonshared) => { /* vararg */
+        if (!isObject(op0Nonshared))
+          return;
+        const op3Nonshared = ownProperty(op0Nonshared, op1Nonshared);
+        if (!op3Nonshared)
+          return;
+        const size = this.propSize(op3Nonshared) != 1 ? 2 : 1;
+        if (!writable(op3Nonshared, size))
+          return;
+        if (size == 2) {
+          this.put(op3Nonshared, op2Nonshared);
+        } else {
+          mem[op3Nonshared] = op2Nonshared;
+        }
+      },
+      0x4: // READ
+      function*(op0Nonshared, op1Nonshared) { /* vararg */
+        yield* readLine(op0Nonshared & 65535, op1Nonshared & 65535);
+      },
+      0x5: // PRINTC
+      function*(op0Nonshared) { /* vararg */
+        yield* this.genPrint(this.zsciiToString(op0Nonshared));
+      }.bind(this),
+      0x6: // PRINTN
+      function*(op0Nonshared) { /* vararg */
+        yield* this.genPrint(String(op0Nonshared));
+      }.bind(this),
+      0x7: // RANDOM
+      (range) => { /* vararg */
+        if (range <= 0) {             // If range is non-positive, reseed the PRNG.
+          if (range === 0) {
+            if (this.randomSeed === null)
+              initRng();              // If 0, seed using Math.random(), unless it is deterministic.
           } else {
-            this.seed = (1664525 * this.seed + 1013904223) >>> 0;     // Linear congruential generator
-            store(Math.floor((this.seed / 0xFFFFFFFF) * range) + 1);  // Return integer in range [1..op0] (inclusive).
+            this.seed = (range >>> 0); // If negative, seed with the specified value.
           }
-        },
-        0x8: // PUSH
-        (a) => { /* vararg */
-          dataStack.push(a);
-        },
-        0x9: // POP
-        (loc) => { /* vararg */
-          xstore(loc, dataStack.pop());
-        },
-        0xA: // SPLIT
-        function*(op0Nonshared) { /* vararg */
-          if(this.split)
-            yield* this.split(op0Nonshared);
-        }.bind(this),
-        0xB: // SCREEN
-        function*(op0Nonshared) { /* vararg */
-          if(this.screen)
-            yield* this.screen(op0Nonshared);
-        }.bind(this)
-      };
-
-      function decodeInstruction() {
-        const [notBinaryOp, rest1] = splitBytes(pcgetb(), 1, 7);
-        if (notBinaryOp) {
-          const [varInst, rest2] = splitBytes(rest1, 1, 6);
-          if (varInst) {
-            const [not2op, opcode] = splitBytes(rest2, 1, 5);
-            return {
-              fun: (not2op ? zVarInstructions : z2opInstructions)[opcode],
-              parameters: splitBytes(pcgetb(), 2, 2, 2, 2).map(getParameterByType)
-            };
-          } else {
-            const [op0Type, opcode] = splitBytes(rest2, 2, 4);
-            const op0 = getParameterByType(op0Type);
-            return {
-              fun: (typeof op0 === "undefined" ? z0opInstructions : z1opInstructions)[opcode],
-              parameters: [op0]
-            };
+          store(0);                   // Reseeding always returns 0.
+        } else {
+          this.seed = (1664525 * this.seed + 1013904223) >>> 0;     // Linear congruential generator
+          store(Math.floor((this.seed / 0x100000000) * range) + 1); // Return integer in range [1..op0] (inclusive).
+        }
+      },
+      0x8: // PUSH
+      (a) => { /* vararg */
+        dataStack.push(a);
+      },
+      0x9: // POP
+      (loc) => { /* vararg */
+        xstore(loc, fetch(0));
+      },
+      0xA: // SPLIT
+      function*(op0Nonshared) { /* vararg */
+        if(this.split)
+          yield* hookResult(this.split(op0Nonshared));
+      }.bind(this),
+      0xB: // SCREEN
+      function*(op0Nonshared) { /* vararg */
+        this.window = op0Nonshared;
+        if(this.screen)
+          yield* hookResult(this.screen(op0Nonshared));
+      }.bind(this),
+      0xC: // XCALL (V4+)
+      (method, ...params) => { /* vararg */
+        call(method, params, false);
+      },
+      0xD: // CLEAR (erase_window) (V4+)
+      function*(window) { /* vararg */
+        if(this.eraseWindow)
+          yield* hookResult(this.eraseWindow(window));
+      }.bind(this),
+      0xE: // ERASE (erase_line) (V4+)
+      function*(value) { /* vararg */
+        if(this.eraseLine)
+          yield* hookResult(this.eraseLine(value));
+      }.bind(this),
+      0xF: // CURSET (set_cursor) (V4+)
+      function*(line, column) { /* vararg */
+        if(this.setCursor)
+          yield* hookResult(this.setCursor(line, column));
+      }.bind(this),
+      0x10: // CURGET (get_cursor) (V4+)
+      function*(array) { /* vararg */
+        const [line, column] = yield* this.logInput("getCursor", () => this.getCursor ? this.getCursor() : [1, 1]);
+        array &= 65535;
+        if (!(inMemory(array, 4) && writable(array, 4)))
+          return;
+        this.putu(array, line);
+        this.putu(array + 2, column);
+      }.bind(this),
+      0x11: // HLIGHT (set_text_style) (V4+)
+      function*(style) { /* vararg */
+        if(this.setTextStyle)
+          yield* hookResult(this.setTextStyle(style));
+        else
+          yield* hookResult(this.highlight(!!(style & 8)));
+      }.bind(this),
+      0x12: // BUFOUT (buffer_mode) (V4+)
+      () => {}, /* vararg */
+      0x13: // DIROUT (output_stream) (V3+)
+      (stream, table) => { /* vararg */
+        if (stream == 1 || stream == -1 || stream == 4 || stream == -4) {
+          this.selectedStreams[Math.abs(stream)] = stream > 0;
+        } else if (stream == 2 || stream == -2) {
+          this.putu(16, stream > 0 ? this.getu(16) | 1 : this.getu(16) & ~1);
+        } else if (stream == 3) {
+          if (this.outputTables.length == 16)
+            return fail(ZMachineError, "Too many nested output streams");
+          if (!writable(table & 65535, 2))
+            return;
+          this.outputTables.push(table & 65535);
+          this.putu(table & 65535, 0);
+        } else if (stream == -3) {
+          this.outputTables.pop();
+        }
+      },
+      0x14: // DIRIN (input_stream) (V3+)
+      () => {}, /* vararg */
+      0x15: // SOUND (V3+)
+      () => {}, /* vararg */
+      0x16: // INPUT (read_char) (V4+)
+      function*() { /* vararg */
+        yield* this.genPrint("");
+        const key = yield* this.logInput("readChar", () => this.readChar());
+        const code = typeof key === "number" ? key : key == "\n" || key == "\r" || !key ? 13 : this.zsciiFromString(key)[0];
+        yield* this.genInput(this.zsciiToString(code), false);
+        store(code);
+      }.bind(this),
+      0x17: // INTBL? (scan_table) (V4+)
+      (x, table, length, form = 0x82) => { /* vararg */
+        const fieldSize = form & 127;
+        table &= 65535;
+        for (let i = 0; i < length; i++, table += fieldSize) {
+          if ((form & 128 ? this.get(table) : mem[table]) == x) {
+            store(table);
+            return predicate(true);
           }
+        }
+        store(0);
+        predicate(false);
+      },
+      0x18: // BCOM (binary complement) (V5+)
+      (a) => { /* vararg */
+        store(~a);
+      },
+      0x19: // ICALL (V5+)
+      (method, ...params) => { /* vararg */
+        call(method, params, true);
+      },
+      0x1A: // IXCALL (V5+)
+      (method, ...params) => { /* vararg */
+        call(method, params, true);
+      },
+      0x1B: // LEX (tokenise) (V5+)
+      (text, parse, dictionary, flag) => { /* vararg */
+        if (writable((parse & 65535) + 1, mem[parse & 65535] * 4 + 1))
+          this.tokenize(text & 65535, parse & 65535,
+                        dictionary ? this.parseVocab(dictionary & 65535) : this.dictionary, !!flag);
+      },
+      0x1C: // ZWSTR (encode_text) (V5+)
+      (text, length, from, coded) => { /* vararg */
+        text = (text + from) & 65535;
+        if (inMemory(coded & 65535, 6) && writable(coded & 65535, 6))
+          mem.set(this.encodeText(mem.subarray(text, text + length)), coded & 65535);
+      },
+      0x1D: // COPYT (copy_table) (V5+)
+      (first, second, size) => { /* vararg */
+        first &= 65535;
+        second &= 65535;
+        if (!inMemory(first, Math.abs(size)) || (second && !inMemory(second, Math.abs(size))))
+          return;
+        if (!writable(second || first, Math.abs(size)))
+          return;
+        if (!second) {
+          mem.fill(0, first, first + Math.abs(size));
+        } else if (size < 0) {                      // Negative size forces a forward copy
+          for (let i = 0; i < -size; i++)
+            mem[second + i] = mem[first + i];
         } else {
-          const [op0Type, op1Type, opcode] = splitBytes(rest1, 1, 1, 5);
-          return {
-            fun: z2opInstructions[opcode],
-            parameters: [op0Type, op1Type].map(type => getParameterByType(type + 1))
-          };
+          mem.copyWithin(second, first, first + size);
+        }
+      },
+      0x1E: // PRINTT (print_table) (V5+)
+      function*(table, width, height = 1, skip = 0) { /* vararg */
+        table &= 65535;
+        for (let i = 0; i < height; i++, table += width + skip) {
+          if (i)
+            yield* this.genPrint("\n");
+          yield* this.genPrint(Array.from(mem.subarray(table, table + width), c => this.zsciiToString(c)).join(""));
         }
+      }.bind(this),
+      0x1F: // ASSIGNED? (check_arg_count) (V5+)
+      (n) => { /* vararg */
+        predicate(callStack.length && n <= callStack[0].args);
+      }
+    };
+
+    const zExtInstructions = {
+      0x0: // SAVE (V5+)
+      function*(table) { /* vararg */
+        store(typeof table === "undefined" && (yield* zsave()) ? 1 : 0);
+      },
+      0x1: // RESTORE (V5+)
+      function*(table) { /* vararg */
+        store(typeof table === "undefined" && (yield* zrestore()) ? 2 : 0);
+      },
+      0x2: // SHIFT (log_shift) (V5+)
+      (number, places) => { /* vararg */
+        store(places < 0 ? (number & 65535) >>> -places : number << places);
+      },
+      0x3: // ASHIFT (art_shift) (V5+)
+      (number, places) => { /* vararg */
+        store(places < 0 ? number >> -places : number << places);
+      },
+      0x4: // FONT (set_font) (V5+)
+      function*(newFont) { /* vararg */
+        const previous = font;
+        if (newFont == 1 || newFont == 4) {
+          font = newFont;
+          yield* hookResult(this.highlight(font == 4));
+        }
+        store(newFont == 0 || newFont == 1 || newFont == 4 ? previous : 0);
+      }.bind(this),
+      0x9: // ISAVE (save_undo) (V5+)
+      () => { /* vararg */
+        store(-1);
+      },
+      0xA: // IRESTORE (restore_undo) (V5+)
+      () => { /* vararg */
+        store(0);
+      },
+      0xB: // print_unicode (V5+)
+      function*(c) { /* vararg */
+        yield* this.genPrint(String.fromCodePoint(c & 65535));
+      }.bind(this),
+      0xC: // check_unicode (V5+)
+      (c) => { /* vararg */
+        const code = this.zsciiFromString(String.fromCodePoint(c & 65535))[0];
+        store(code == 63 && c != 63 ? 1 : 3);     // It can be printed, and input too if it is in ZSCII
+      }
+    };
+
+    const instructionTables = {
+      "0OP": z0opInstructions,
+      "1OP": z1opInstructions,
+      "2OP": z2opInstructions,
+      "VAR": zVarInstructions,
+      "EXT": zExtInstructions
+    };
+    for (const kind in instructionTables) {           // Leave out those which this version does not have
+      for (const opcode in instructionTables[kind]) {
+        if (!instructionExists(version, kind, +opcode))
+          delete instructionTables[kind][opcode];
+      }
+    }
+
+    // Decoded instructions by address, with their parameters. Instructions in
+    // dynamic memory are checked against their bytes, in case they changed.
+    const decoded = new Map();
+    const decode = (pc) => {
+      let inst = decoded.get(pc);
+      if (inst && (!inst.bytes || inst.bytes.every((x, i) => mem[pc + i] == x)))
+        return inst;
+      const {kind, opcode, types, operands, next} = decodeInstruction(mem, pc, version);
+      const info = instructionInfo(version, kind, opcode);
+      const fun = instructionTables[kind][opcode] || (() => fail(InvalidOpcodeError, "Invalid Z-machine opcode"));
+      inst = {
+        kind: kind,
+        opcode: opcode,
+        instruction: info ? info.name : null,
+        operands: operands,
+        next: next,
+        fun: fun,
+        generator: fun instanceof GeneratorFunction,
+        parameters: types.map((type, i) => type == 2 ? 0 : type ? operands[i] : operands[i] << 16 >> 16),
+        variables: types.flatMap((type, i) => type == 2 ? [i] : []),
+        bytes: pc < staticBase ? mem.slice(pc, next) : null
+      };
+      decoded.set(pc, inst);
+      return inst;
+    };
+
+    // Initializations
+    init();
+    yield* hookResult(this.restarted());
+    yield* hookResult(this.highlight(!!(this.savedFlags&2)));
+    if (this.rewindTarget) {                          // A fork starts at the turn it was forked from
+      const [text, parse] = restoreSnapshot();
+      yield* readLine(text, parse, true);
+    } else if (this.resumeSlot) {                     // Or continue from a slot which resume loaded
+      const {data, info} = this.resumeSlot;
+      this.resumeSlot = null;
+      this.savedFlags = this.get(16);
+      const state = this.deserialize(data);
+      if (state) {
+        [dataStack, callStack, programCounter] = state;
+        initHeader();
+        if (info.autosave)
+          yield* readLine(info.text, info.parse);
+        else if (version < 4)
+          predicate(true);
+        else
+          store(2);
+      }
+    }
+
+    // Fetch the parameters of the instruction at the program counter, and
+    // move past its operands
+    const prepare = () => {
+      const inst = current = decode(programCounter);
+      currentPc = programCounter;
+      programCounter = inst.next;
+      for (const i of inst.variables)
+        inst.parameters[i] = fetch(inst.operands[i]);
+      return inst;
+    };
+
+    // Run instructions up to one which is a generator function, and return it
+    // prepared; the others cannot yield, so this need not be a generator.
+    // Returns null when the budget runs out.
+    const runSync = () => {
+      while (budget-- > 0) {
+        const inst = prepare();
+        if (inst.generator)
+          return inst;
+        inst.fun(...inst.parameters);
+      }
+      return null;
+    };
+
+    // Time spent waiting for hooks or the host does not count towards the time limit
+    const waiting = function*(it) {
+      const start = Date.now();
+      try {
+        return yield* it;
+      } finally {
+        waited += Date.now() - start;
+      }
+    };
+
+    // Stop if the signal is aborted or a limit is reached, yield if it is time
+    // to, and give the next budget of instructions
+    const checkLimits = function*() {
+      executed += granted;
+      sinceYield += granted;
+      if (this.signal && this.signal.aborted)
+        throw this.signal.reason;
+      if (this.instructionLimit !== null && executed >= this.instructionLimit)
+        throw machineError(InstructionLimitError, "Instruction limit of " + this.instructionLimit + " reached");
+      if (this.timeLimit !== null && Date.now() - started - waited >= this.timeLimit)
+        throw machineError(TimeLimitError, "Time limit of " + this.timeLimit + " ms reached");
+      if (this.yieldInterval && sinceYield >= this.yieldInterval) {
+        sinceYield = 0;
+        yield* waiting(function*() { yield new Promise(resolve => setTimeout(resolve, 0)); }());
+        if (this.signal && this.signal.aborted)
+          throw this.signal.reason;
       }
+      granted = budget = Math.min(limitCheckInterval,
+                                  this.yieldInterval ? this.yieldInterval - sinceYield : Infinity,
+                                  this.instructionLimit !== null ? this.instructionLimit - executed : Infinity);
+    }.bind(this);
 
-      const {fun, parameters} = decodeInstruction();
-      if (typeof fun !== "undefined") {
-        const GeneratorFunction = Object.getPrototypeOf(function*(){}).constructor;
+    // Main loop
+    main: for(;;) {
+      if (!this.debugger) {
         try {
-          if (fun instanceof GeneratorFunction) {
-            yield* fun(...parameters);
-          } else {
-            fun(...parameters);
-          }
+          const inst = runSync();
+          if (inst === null)
+            yield* checkLimits();
+          else if (this.timeLimit === null)
+            yield* inst.fun(...inst.parameters);
+          else
+            yield* waiting(inst.fun(...inst.parameters));
+          if (inst !== null && this.signal && this.signal.aborted)
+            throw this.signal.reason;
         } catch (e) {
-          if (e instanceof ZMachineQuit) {
+          if (e instanceof ZMachineQuit)
             return;
+          throw e;
+        }
+      } else {
+        if (budget-- <= 0) {
+          yield* checkLimits();
+          budget--;
+        }
+        yield* waiting(this.debugger.instruction(machine));
+        const start = programCounter, depth = callStack.length;
+        try {
+          const inst = prepare();
+          const parameters = inst.parameters.slice();
+          branched = false;
+          if (inst.generator) {
+            yield* waiting(inst.fun(...parameters));
+            if (this.signal && this.signal.aborted)
+              throw this.signal.reason;
           } else {
-            throw e;
+            inst.fun(...parameters);
           }
+          if (this.debugger && this.debugger.trace)
+            this.debugger.traced(machine, {pc: start, kind: inst.kind, opcode: inst.opcode, operands: parameters, depth: depth}, inst.next);
+        } catch (e) {
+          if (e instanceof ZMachineQuit)
+            return;
+          if (this.debugger)
+            yield* this.debugger.failed(machine, e, start);
+          throw e;
         }
-      } else {
-        throw new Error("JSZM: Invalid Z-machine opcode");
       }
     }
 
   }
-  save() { return []; }
+  async runAsync() {
+    const it = this.run();
+    for (let step = it.next(); !step.done; ) {
+      let value;
+      try {
+        value = await (this.signal ? abortable(step.value, this.signal) : step.value);
+      } catch (e) {
+        step = it.throw(e);
+        continue;
+      }
+      step = it.next(value);
+    }
+  }
+  *save(buf) {
+    if (!this.storage)
+      return false;
+    try {
+      yield* hookResult(this.storage.set(this.saveSlot, buf, this.saveInfo(this.saveSlot)));
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+  // Information about the game for a slot of the storage; the location,
+  // score and moves are in the same global variables as the status line
+  saveInfo(name, autosave = false) {
+    const globals = this.getu(12);
+    const location = this.getu(globals);
+    return {
+      name: name,
+      release: this.zorkid,
+      serial: this.serial,
+      location: location >= 1 && location <= this.numObjects ? this.objectName(location) : "",
+      score: this.get(globals + 2),
+      moves: this.get(globals + 4),
+      time: Date.now(),
+      autosave: autosave
+    };
+  }
+  setAttribute(x, a, value = true) {
+    this.checkObjectWrites();
+    this.checkObject(x);
+    if (!(a >= 0 && a < (this.version < 4 ? 32 : 48)))
+      throw new Error("JSZM: Invalid attribute number");
+    const z = this.objects + x * this.objSize + (a >> 3);
+    this.mem[z] = value ? this.mem[z] | (128 >> (a & 7)) : this.mem[z] & ~(128 >> (a & 7));
+  }
+  setObjLink(x, n, y) {
+    if (this.version < 4)
+      this.mem[this.objects + x * 9 + 4 + n] = y;
+    else
+      this.putu(this.objects + x * 14 + 6 + n * 2, y);
+  }
   serialize(ds,cs,pc) {
-    var i,j,e,ar,vi;
-    e=this.getu(14); // PURBOT
-    i=e+cs.reduce((p,c)=>p+2*(c.ds.length+c.local.length)+6,0)+2*ds.length+8;
-    ar=new Uint8Array(i);
-    ar.set(new Uint8Array(this.mem.buffer,0,e));
-    vi=new DataView(ar.buffer);
-    vi.setUint32(e,pc);
-    vi.setUint16(e+4,cs.length);
-    vi.setUint16(e+6,ds.length);
-    for(i=0;i<ds.length;i++) vi.setInt16(e+i*2+8,ds[i]);
-    e+=ds.length*2+8;
-    for(i=0;i<cs.length;i++) {
-      vi.setUint32(e,cs[i].pc);
-      vi.setUint8(e,cs[i].local.length);
-      vi.setUint16(e+4,cs[i].ds.length);
-      for(j=0;j<cs[i].ds.length;j++) vi.setInt16(e+j*2+6,cs[i].ds[j]);
-      for(j=0;j<cs[i].local.length;j++) vi.setInt16(e+cs[i].ds.length*2+j*2+6,cs[i].local[j]);
-      e+=(cs[i].ds.length+cs[i].local.length)*2+6;
-    }
-    return ar;
+    const purbot = this.getu(14);
+
+    // IFhd: release number, serial number, checksum and PC
+    const ifhd = new Uint8Array(13);
+    ifhd.set(this.memInit.subarray(2, 4), 0);
+    ifhd.set(this.memInit.subarray(18, 24), 2);
+    ifhd.set(this.memInit.subarray(28, 30), 8);
+    ifhd.set([pc >> 16, pc >> 8, pc], 10);
+
+    // CMem: dynamic memory XORed with the story file, with runs of zeros compressed
+    const cmem = compressMemory(this.mem, this.memInit, purbot);
+
+    // Stks: a dummy frame for the main evaluation stack, then the call frames, oldest first
+    const stks = [];
+    const putWord = (x) => stks.push(x >> 8, x);
+    const frames = cs.slice().reverse();
+    for (let i = 0; i <= frames.length; i++) {
+      const frame = frames[i - 1];
+      const stack = i < frames.length ? frames[i].ds : ds;
+      if (frame) {
+        const returnPC = frame.discard ? frame.pc : frame.pc + 1;
+        stks.push(returnPC >> 16, returnPC >> 8, returnPC,
+                  frame.local.length | (frame.discard ? 16 : 0),
+                  frame.discard ? 0 : this.mem[frame.pc],
+                  (1 << frame.args) - 1);
+      } else {
+        stks.push(0, 0, 0, 0, 0, 0);
+      }
+      putWord(stack.length);
+      if (frame)
+        frame.local.forEach(x => putWord(x));
+      stack.forEach(x => putWord(x));
+    }
+
+    return writeIFF("IFZS", [["IFhd", ifhd], ["CMem", cmem], ["Stks", new Uint8Array(stks)]]);
+  }
+  streamSelected(n) {
+    return n == 2 ? !!(this.get(16) & 1) : n == 3 ? !!(this.outputTables && this.outputTables.length) : !!this.selectedStreams[n];
+  }
+  tokenizeText(text, dictionary) {
+    return this.findWords(String.fromCharCode(...this.zsciiFromString(text.toLowerCase())), this.getDictionary(dictionary))
+      .map(({position, word, address}) => ({word: text.substr(position, word.length), position: position, address: address}));
+  }
+  unwatch(w) {
+    const watchers = (this.watchers || []).filter(x => x !== w);
+    this.watchers = watchers.length ? watchers : null;
   }
   verify() {
-    var plenth=this.getu(26);
+    var plenth=this.getu(26)*(this.version<4?2:this.version<6?4:8);
     var pchksm=this.getu(28);
     var i=64;
-    while(i<plenth*2) pchksm=(pchksm-this.memInit[i++])&65535;
+    while(i<plenth) pchksm=(pchksm-this.memInit[i++])&65535;
     return !pchksm;
   }
+  warn(error) {
+    if (typeof console !== "undefined")
+      console.warn(error.message);
+  }
+  // Watchers are kept in a new array each time, so that they can be added
+  // and removed while they are being called; it is null while there are none
+  watch(w) {
+    this.watchers = (this.watchers || []).concat([w]);
+    return w;
+  }
+  watchAttribute(obj, attr, callback) { return this.watch({type: "attribute", object: obj, attribute: attr, callback: callback}); }
+  watchGlobal(n, callback) { return this.watch({type: "global", number: n, callback: callback}); }
+  watchObject(obj, callback) { return this.watch({type: "move", object: obj, callback: callback}); }
+  // Convert text to ZSCII codes, with a question mark for characters which have none
+  zsciiFromString(str) {
+    return Array.from(str.split(""), char => {
+      const code = char.charCodeAt(0);
+      const extra = this.unicodeTable.indexOf(char);
+      return char == "\n" ? 13 : code >= 32 && code <= 126 ? code : extra >= 0 ? extra + 155 : 63;
+    });
+  }
+  zsciiToString(code) {
+    return code == 13 ? "\n" :
+           code >= 32 && code <= 126 ? String.fromCharCode(code) :
+           code >= 155 && code < 155 + this.unicodeTable.length ? this.unicodeTable[code - 155] :
+           code ? "?" : "";
+  }
 };
 
 JSZM.version=JSZM_Version;
+JSZM.Blorb=Blorb;
+JSZM.Debugger=Debugger;
+JSZM.decodeInstruction=decodeInstruction;
+JSZM.ZMachineError=ZMachineError;
+JSZM.InvalidOpcodeError=InvalidOpcodeError;
+JSZM.StackUnderflowError=StackUnderflowError;
+JSZM.InvalidObjectError=InvalidObjectError;
+JSZM.MemoryAccessError=MemoryAccessError;
+JSZM.DivisionByZeroError=DivisionByZeroError;
+JSZM.CallStackUnderflowError=CallStackUnderflowError;
+JSZM.InstructionLimitError=InstructionLimitError;
+JSZM.TimeLimitError=TimeLimitError;
+JSZM.playback=playback;
+JSZM.instructionInfo=instructionInfo;
 
 try {
   if(module && module.exports) module.exports=JSZM;
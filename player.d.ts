@@ -0,0 +1,58 @@
+import JSZM = require("./index");
+
+/** Shows a game in an element of a web page, with a status line, an upper window and the main text. */
+declare class JSZMPlayer {
+    /** Creates a player in an element. The properties of the options are copied to the new instance. */
+    constructor(element: HTMLElement, options?: Partial<JSZMPlayer>);
+
+    /** The element which the player is in. */
+    element: HTMLElement;
+
+    /** The JSZM instance, once start has been called, or null. */
+    game: JSZM | null;
+
+    /** The commands entered, oldest first. */
+    history: string[];
+
+    /**
+     * The text field for the player's input. To enter a command, set its value and send it a keydown event for the Enter
+     * key; if the game is waiting for a single key, just send the keydown event for that key.
+     */
+    input: HTMLInputElement;
+
+    /** The element for the main text. */
+    main: HTMLElement;
+
+    /**
+     * Asks the player for a file, and returns its contents, or null if none was chosen. It is called to restore a game.
+     * You can override it, for example to load saves from somewhere else.
+     */
+    openFile(): Promise<Uint8Array | null>;
+
+    /**
+     * Downloads the data as a file with the given name. It is called to save a game; the save fails if it throws or the
+     * Promise is rejected. You can override it, for example to store saves somewhere else; the default needs
+     * URL.createObjectURL, which jsdom does not have.
+     */
+    saveFile(name: string, data: Uint8Array): void | Promise<void>;
+
+    /** The name of the save files, normally "save.qzl". */
+    saveName: string;
+
+    /**
+     * Creates a JSZM instance for the story file, with the options given to its constructor, and runs it. The Promise is
+     * resolved when the game ends or rejected if an error occurs.
+     */
+    start(story: ArrayLike<number>, options?: Partial<JSZM>): Promise<void>;
+
+    /** The element for the status line. */
+    status: HTMLElement;
+
+    /** The element for the upper window. */
+    upper: HTMLElement;
+
+    /** What the game is waiting for. */
+    waiting: "line" | "char" | null;
+}
+
+export = JSZMPlayer;
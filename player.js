@@ -0,0 +1,308 @@
+/*
+  Browser player for JSZM
+  This program is in public domain.
+
+  Documentation:
+
+  Load jszm.js and then this file with script elements, or require it as
+  a CommonJS module (for example to test it with jsdom). It defines the
+  class JSZMPlayer, which shows a game in an element of the page:
+
+    const player = new JSZMPlayer(document.getElementById("game"));
+    player.start(story);
+
+  The element is given a status line (V3), an upper window (which games
+  use with SPLIT and SCREEN) and the main text, which is word wrapped and
+  scrolls; give the element a height so that it can scroll. The player's
+  input is typed into a text field at the end of the main text, and the
+  up and down arrow keys go through the commands entered before. Fixed
+  pitch text is shown in a monospace font. When the game saves, the save
+  file is downloaded, and when it restores, the player is asked to choose
+  a file. The parts have the classes jszm-player (the element itself),
+  jszm-status, jszm-upper, jszm-main, jszm-input (the text field), and
+  jszm-text, jszm-fixed and jszm-command (for the main text, fixed pitch
+  text and the commands entered), for styling.
+
+  The constructor takes the element, and optionally an object whose
+  properties are copied to the new instance, for example {saveName:
+  "game.qzl"}. Properties of JSZMPlayer instances are:
+
+  .element = The element which the player is in.
+
+  .game = The JSZM instance, once start has been called, or null.
+
+  .history = An array of the commands entered, oldest first.
+
+  .input = The text field for the player's input. To enter a command, set
+  its value and send it a keydown event for the Enter key; if the game is
+  waiting for a single key, just send the keydown event for that key.
+
+  .main, .status, .upper = The elements for the main text, the status
+  line and the upper window.
+
+  .openFile() = A normal function which asks the player for a file, and
+  returns a Promise of its contents as a Uint8Array, or of null if none
+  was chosen. It is called to restore a game. You can override it, for
+  example to load saves from somewhere else.
+
+  .saveFile(name,data) = A normal function which downloads the data (a
+  Uint8Array) as a file with the given name. It is called to save a game
+  and can return a Promise; the save fails if it throws or the Promise is
+  rejected. You can override it, for example to store saves somewhere
+  else; the default needs URL.createObjectURL, which jsdom does not have.
+
+  .saveName = The name of the save files, normally "save.qzl".
+
+  .start(story,options) = A normal function which creates a JSZM instance
+  for the story file (a Uint8Array), with the options given to its
+  constructor, and runs it. It returns a Promise which is resolved when
+  the game ends or rejected if an error occurs.
+
+  .waiting = What the game is waiting for: "line", "char" or null.
+*/
+
+"use strict";
+
+// The JSZM class is a global variable if jszm.js is loaded with a script element
+const PlayerJSZM = typeof JSZM !== "undefined" ? JSZM : require("./jszm.js");
+
+// ZSCII codes of keys which are not characters, for readChar
+const playerKeys = {
+  Backspace: 8, Delete: 8, Enter: 13, Escape: 27,
+  ArrowUp: 129, ArrowDown: 130, ArrowLeft: 131, ArrowRight: 132,
+  F1: 133, F2: 134, F3: 135, F4: 136, F5: 137, F6: 138, F7: 139, F8: 140, F9: 141, F10: 142, F11: 143, F12: 144
+};
+
+class JSZMPlayer {
+  constructor(element, options) {
+    const doc = element.ownerDocument;
+    const make = (tag, className, style) => {
+      const x = doc.createElement(tag);
+      x.className = className;
+      Object.assign(x.style, style);
+      return x;
+    };
+    this.document = doc;
+    this.element = element;
+    this.fixed = false;
+    this.game = null;
+    this.history = [];
+    this.historyPosition = 0;
+    this.resolveInput = null;
+    this.saveName = "save.qzl";
+    this.upperCursor = [1, 1];
+    this.upperLines = [];
+    this.waiting = null;
+    element.classList.add("jszm-player");
+    Object.assign(element.style, {display: "flex", flexDirection: "column"});
+    element.textContent = "";
+    this.status = make("div", "jszm-status", {display: "none", fontFamily: "monospace", whiteSpace: "pre", borderBottom: "1px solid"});
+    this.upper = make("div", "jszm-upper", {fontFamily: "monospace", whiteSpace: "pre", overflow: "hidden"});
+    this.main = make("div", "jszm-main", {flex: "1 1 auto", minHeight: "0", overflowY: "auto", whiteSpace: "pre-wrap", overflowWrap: "break-word"});
+    this.input = make("input", "jszm-input", {border: "none", outline: "none", background: "transparent", color: "inherit", font: "inherit", width: "50%"});
+    element.append(this.status, this.upper, this.main);
+    element.addEventListener("click", () => {
+      if (this.waiting)
+        this.input.focus();
+    });
+    this.input.addEventListener("keydown", (event) => this.keydown(event));
+    Object.assign(this, options);
+  }
+  clearMain() {
+    this.main.textContent = "";
+  }
+  eraseLine(value) {
+    const [line, column] = this.upperCursor;
+    if (value == 1 && this.game.window == 1 && line <= this.upperLines.length) {
+      this.upperLines[line - 1] = this.upperLines[line - 1].slice(0, column - 1);
+      this.showUpper();
+    }
+  }
+  eraseWindow(window) {
+    if (window == -1)
+      this.upperLines = [];
+    if (window == -1 || window == -2 || window == 1) {
+      this.upperLines = this.upperLines.map(() => "");
+      this.upperCursor = [1, 1];
+      this.showUpper();
+    }
+    if (window == -1 || window == -2 || window == 0)
+      this.clearMain();
+  }
+  finishInput(value) {
+    const resolve = this.resolveInput;
+    this.waiting = null;
+    this.resolveInput = null;
+    this.input.remove();
+    resolve(value);
+  }
+  getCursor() {
+    return this.upperCursor.slice();
+  }
+  highlight(fixpitch) {
+    this.fixed = fixpitch;
+  }
+  keydown(event) {
+    if (this.waiting == "char") {
+      const key = event.key.length == 1 ? event.key : playerKeys[event.key];
+      if (typeof key !== "undefined") {
+        event.preventDefault();
+        this.finishInput(key);
+      }
+    } else if (this.waiting == "line") {
+      if (event.key == "Enter") {
+        event.preventDefault();
+        const text = this.input.value;
+        if (text && text !== this.history[this.history.length - 1])
+          this.history.push(text);
+        this.historyPosition = this.history.length;
+        this.printMain(text + "\n", "jszm-command");
+        this.finishInput(text);
+      } else if (event.key == "ArrowUp" && this.historyPosition > 0) {
+        event.preventDefault();
+        this.input.value = this.history[--this.historyPosition];
+      } else if (event.key == "ArrowDown" && this.historyPosition < this.history.length) {
+        event.preventDefault();
+        this.input.value = ++this.historyPosition < this.history.length ? this.history[this.historyPosition] : "";
+      }
+    }
+  }
+  openFile() {
+    return new Promise((resolve) => {
+      const chooser = this.document.createElement("input");
+      chooser.type = "file";
+      chooser.addEventListener("change", () => {
+        const file = chooser.files[0];
+        if (!file)
+          return resolve(null);
+        const reader = new this.document.defaultView.FileReader();
+        reader.onload = () => resolve(new Uint8Array(reader.result));
+        reader.onerror = () => resolve(null);
+        reader.readAsArrayBuffer(file);
+      });
+      chooser.addEventListener("cancel", () => resolve(null));
+      chooser.click();
+    });
+  }
+  print(text) {
+    if (this.game.window == 1)
+      this.printUpper(text);
+    else
+      this.printMain(text, this.fixed ? "jszm-fixed" : "jszm-text");
+  }
+  printMain(text, className) {
+    if (!text)
+      return;
+    let span = this.main.lastChild;
+    if (!span || span.className !== className) {
+      span = this.document.createElement("span");
+      span.className = className;
+      if (className == "jszm-fixed")
+        span.style.fontFamily = "monospace";
+      span.appendChild(this.document.createTextNode(""));
+      this.main.appendChild(span);
+    }
+    span.firstChild.appendData(text);
+    this.scroll();
+  }
+  printUpper(text) {
+    for (const char of text) {
+      const [line, column] = this.upperCursor;
+      if (char == "\n") {
+        this.upperCursor = [line + 1, 1];
+      } else {
+        if (line <= this.upperLines.length) {
+          const row = this.upperLines[line - 1].padEnd(column - 1);
+          this.upperLines[line - 1] = row.slice(0, column - 1) + char + row.slice(column);
+        }
+        this.upperCursor = [line, column + 1];
+      }
+    }
+    this.showUpper();
+  }
+  read(maxlen) {
+    return this.waitInput("line", maxlen);
+  }
+  readChar() {
+    return this.waitInput("char", 1);
+  }
+  restarted() {
+    this.fixed = false;
+    this.upperLines = [];
+    this.upperCursor = [1, 1];
+    this.showUpper();
+  }
+  async restore() {
+    try {
+      return await this.openFile();
+    } catch (e) {
+      return null;
+    }
+  }
+  async save(buf) {
+    try {
+      await this.saveFile(this.saveName, buf);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+  saveFile(name, data) {
+    const win = this.document.defaultView;
+    const link = this.document.createElement("a");
+    link.download = name;
+    link.href = win.URL.createObjectURL(new win.Blob([data], {type: "application/octet-stream"}));
+    link.click();
+    win.setTimeout(() => win.URL.revokeObjectURL(link.href), 1000);
+  }
+  screen(window) {
+    if (window == 1 && this.game.version >= 4)
+      this.upperCursor = [1, 1];
+  }
+  scroll() {
+    this.main.scrollTop = this.main.scrollHeight;
+  }
+  setCursor(line, column) {
+    this.upperCursor = [line, column];
+  }
+  showUpper() {
+    this.upper.textContent = this.upperLines.join("\n");
+  }
+  split(height) {
+    while (this.upperLines.length < height)
+      this.upperLines.push("");
+    this.upperLines.length = height;
+    if (this.game.version < 4)
+      this.upperLines.fill("");
+    this.showUpper();
+  }
+  start(story, options) {
+    const game = this.game = new PlayerJSZM(story, options);
+    for (const name of ["eraseLine", "eraseWindow", "getCursor", "highlight", "print", "read", "readChar", "restarted",
+                        "restore", "save", "screen", "setCursor", "split", "updateStatusLine"])
+      game[name] = (...args) => this[name](...args);
+    return game.runAsync();
+  }
+  updateStatusLine(text, v18, v17) {
+    const right = this.game.statusType ?
+      ((v17 + 11) % 12 + 1) + ":" + String(v18).padStart(2, "0") + (v17 < 12 ? " AM" : " PM") :
+      "Score: " + v17 + "  Moves: " + v18;
+    this.status.style.display = "";
+    this.status.textContent = " " + text.padEnd(this.game.screenWidth - right.length - 3) + " " + right + " ";
+  }
+  waitInput(type, maxlen) {
+    return new Promise((resolve) => {
+      this.waiting = type;
+      this.resolveInput = resolve;
+      this.input.value = "";
+      this.input.maxLength = maxlen;
+      this.main.appendChild(this.input);
+      this.input.focus();
+      this.scroll();
+    });
+  }
+}
+
+try {
+  if(module && module.exports) module.exports=JSZMPlayer;
+} catch(e) {}
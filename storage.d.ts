@@ -0,0 +1,53 @@
+import JSZM = require("./index");
+
+/** Keeps each slot in a directory (in Node) as a Quetzal file, name.qzl, and its information in name.json. */
+declare class FileStorage implements JSZM.Storage {
+    /** The directory must exist. */
+    constructor(directory: string);
+    directory: string;
+    delete(name: string): Promise<void>;
+    get(name: string): Promise<{data: Uint8Array; info: JSZM.SaveInfo} | null>;
+    list(): Promise<JSZM.SaveInfo[]>;
+    set(name: string, data: Uint8Array, info: JSZM.SaveInfo): Promise<void>;
+}
+
+/** Keeps the slots in an IndexedDB database. */
+declare class IndexedDBStorage implements JSZM.Storage {
+    /** The name of the database defaults to "jszm", and indexedDB to the global one. */
+    constructor(name?: string, indexedDB?: IDBFactory);
+    name: string;
+    delete(name: string): Promise<void>;
+    get(name: string): Promise<{data: Uint8Array; info: JSZM.SaveInfo} | null>;
+    list(): Promise<JSZM.SaveInfo[]>;
+    set(name: string, data: Uint8Array, info: JSZM.SaveInfo): Promise<void>;
+}
+
+/** Keeps the slots in memory, until the program ends. */
+declare class MemoryStorage implements JSZM.Storage {
+    constructor();
+    delete(name: string): void;
+    get(name: string): {data: Uint8Array; info: JSZM.SaveInfo} | null;
+    list(): JSZM.SaveInfo[];
+    set(name: string, data: Uint8Array, info: JSZM.SaveInfo): void;
+}
+
+/** Keeps the slots in a Web Storage object, with the prefix followed by the name of the slot as the key. */
+declare class WebStorage implements JSZM.Storage {
+    /** The storage defaults to localStorage, and the prefix to "jszm:". */
+    constructor(storage?: Storage, prefix?: string);
+    prefix: string;
+    storage: Storage;
+    delete(name: string): void;
+    get(name: string): {data: Uint8Array; info: JSZM.SaveInfo} | null;
+    list(): JSZM.SaveInfo[];
+    set(name: string, data: Uint8Array, info: JSZM.SaveInfo): void;
+}
+
+declare const JSZMStorage: {
+    FileStorage: typeof FileStorage;
+    IndexedDBStorage: typeof IndexedDBStorage;
+    MemoryStorage: typeof MemoryStorage;
+    WebStorage: typeof WebStorage;
+};
+
+export = JSZMStorage;
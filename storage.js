@@ -0,0 +1,183 @@
+/*
+  Save storage for JSZM
+  This program is in public domain.
+
+  Documentation:
+
+  Load this file with a script element, which defines JSZMStorage, or
+  require it as a CommonJS module, which exports the same object. Its
+  properties are classes of storage, which keep save files in named
+  slots. Set the storage property of a JSZM instance to one of them, and
+  the game's SAVE and RESTORE instructions use it:
+
+    game.storage = new JSZMStorage.WebStorage();
+
+  JSZMStorage.FileStorage(directory) = Keeps each slot in the directory
+  (in Node) as a Quetzal file, name.qzl, which other interpreters can
+  restore too, and its information in name.json. The directory must
+  exist.
+
+  JSZMStorage.IndexedDBStorage(name) = Keeps the slots in an IndexedDB
+  database with the name (normally "jszm").
+
+  JSZMStorage.MemoryStorage() = Keeps the slots in memory, until the
+  program ends.
+
+  JSZMStorage.WebStorage(storage,prefix) = Keeps the slots in a Web
+  Storage object (normally localStorage), with the prefix (normally
+  "jszm:") followed by the name of the slot as the key.
+
+  You can also write your own storage. It must have these methods, which
+  may return their results directly or return Promises:
+
+  .delete(name) = Delete a slot, if there is one with the name.
+
+  .get(name) = Return the slot with the name, as an object with the
+  properties data (a Uint8Array) and info, or null if there is none.
+
+  .list() = Return an array of the info of all of the slots.
+
+  .set(name,data,info) = Keep the data (a Uint8Array) and the info in the
+  slot with the name, replacing it if there is one. The info is an object
+  which can be converted to JSON, and which has the name as its name
+  property.
+*/
+
+"use strict";
+
+class FileStorage {
+  constructor(directory) {
+    this.directory = directory;
+    this.fs = require("fs").promises;
+    this.path = require("path");
+  }
+  async delete(name) {
+    for (const file of [this.file(name, ".qzl"), this.file(name, ".json")])
+      await this.fs.unlink(file).catch(e => { if (e.code !== "ENOENT") throw e; });
+  }
+  async get(name) {
+    try {
+      const info = JSON.parse(await this.fs.readFile(this.file(name, ".json"), "utf8"));
+      return {data: new Uint8Array(await this.fs.readFile(this.file(name, ".qzl"))), info: info};
+    } catch (e) {
+      if (e.code === "ENOENT")
+        return null;
+      throw e;
+    }
+  }
+  // The name of one of the files of a slot; the name of the slot is escaped so that it stays in the directory
+  file(name, extension) {
+    return this.path.join(this.directory, encodeURIComponent(name).replace(/^\./, "%2E") + extension);
+  }
+  async list() {
+    const files = (await this.fs.readdir(this.directory)).filter(x => x.endsWith(".json"));
+    return Promise.all(files.map(async (x) => JSON.parse(await this.fs.readFile(this.path.join(this.directory, x), "utf8"))));
+  }
+  async set(name, data, info) {
+    await this.fs.writeFile(this.file(name, ".qzl"), data);
+    await this.fs.writeFile(this.file(name, ".json"), JSON.stringify(info));
+  }
+}
+
+class IndexedDBStorage {
+  constructor(name = "jszm", indexedDB = globalThis.indexedDB) {
+    this.database = null;
+    this.indexedDB = indexedDB;
+    this.name = name;
+  }
+  delete(name) {
+    return this.request("readwrite", store => store.delete(name)).then(() => {});
+  }
+  get(name) {
+    return this.request("readonly", store => store.get(name)).then(x => x ? {data: x.data, info: x.info} : null);
+  }
+  list() {
+    return this.request("readonly", store => store.getAll()).then(xs => xs.map(x => x.info));
+  }
+  // The database, which is opened (and created if it is new) the first time it is needed
+  open() {
+    if (!this.database) {
+      this.database = new Promise((resolve, reject) => {
+        const request = this.indexedDB.open(this.name, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore("saves", {keyPath: "name"});
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.database;
+  }
+  // Make a request of the object store of the saves, and return a Promise of its result
+  async request(mode, make) {
+    const database = await this.open();
+    return new Promise((resolve, reject) => {
+      const request = make(database.transaction("saves", mode).objectStore("saves"));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  set(name, data, info) {
+    return this.request("readwrite", store => store.put({name: name, data: data, info: info})).then(() => {});
+  }
+}
+
+class MemoryStorage {
+  constructor() {
+    this.slots = new Map();
+  }
+  delete(name) {
+    this.slots.delete(name);
+  }
+  get(name) {
+    const slot = this.slots.get(name);
+    return slot ? {data: slot.data.slice(), info: JSON.parse(JSON.stringify(slot.info))} : null;
+  }
+  list() {
+    return Array.from(this.slots.values(), x => JSON.parse(JSON.stringify(x.info)));
+  }
+  set(name, data, info) {
+    this.slots.set(name, {data: data.slice(), info: JSON.parse(JSON.stringify(info))});
+  }
+}
+
+class WebStorage {
+  constructor(storage = globalThis.localStorage, prefix = "jszm:") {
+    this.prefix = prefix;
+    this.storage = storage;
+  }
+  delete(name) {
+    this.storage.removeItem(this.prefix + name);
+  }
+  get(name) {
+    const item = this.storage.getItem(this.prefix + name);
+    if (item === null)
+      return null;
+    const {data, info} = JSON.parse(item);
+    return {data: Uint8Array.from(atob(data), c => c.charCodeAt(0)), info: info};
+  }
+  list() {
+    const infos = [];
+    for (let i = 0; i < this.storage.length; i++) {
+      const key = this.storage.key(i);
+      if (key.startsWith(this.prefix))
+        infos.push(JSON.parse(this.storage.getItem(key)).info);
+    }
+    return infos;
+  }
+  set(name, data, info) {
+    let text = "";
+    for (const x of data)
+      text += String.fromCharCode(x);
+    this.storage.setItem(this.prefix + name, JSON.stringify({data: btoa(text), info: info}));
+  }
+}
+
+const JSZMStorage = {
+  FileStorage: FileStorage,
+  IndexedDBStorage: IndexedDBStorage,
+  MemoryStorage: MemoryStorage,
+  WebStorage: WebStorage
+};
+
+try {
+  if(module && module.exports) module.exports=JSZMStorage;
+} catch(e) {}
@@ -0,0 +1,92 @@
+"use strict";
+
+const assert = require("assert");
+const test = require("node:test");
+const JSZM = require("../jszm");
+const story = require("./story");
+
+const bytes = (text) => Uint8Array.from(Buffer.from(text, "latin1"));
+const uint32 = (x) => [x >>> 24, (x >> 16) & 255, (x >> 8) & 255, x & 255];
+
+// An IFF form of the chunks, which are [id, data] pairs
+function form(type, chunks) {
+  const parts = [bytes(type)];
+  for (const [id, data] of chunks)
+    parts.push(bytes(id), uint32(data.length), data, data.length & 1 ? [0] : []);
+  const body = Uint8Array.from(parts.flatMap(x => Array.from(x)));
+  return Uint8Array.from([...bytes("FORM"), ...uint32(body.length), ...body]);
+}
+
+// A Blorb file of the resources, which are [usage, number, id, data], and
+// the other chunks, with the resource index first; the data of a resource
+// which is an IFF form leaves out "FORM" and the length, as it is a chunk
+function blorb(resources, chunks) {
+  let offset = 12 + 8 + 4 + resources.length * 12;
+  const index = [...uint32(resources.length)];
+  for (const [usage, number, , data] of resources) {
+    index.push(...bytes(usage), ...uint32(number), ...uint32(offset));
+    offset += 8 + data.length + (data.length & 1);
+  }
+  return form("IFRS", [["RIdx", Uint8Array.from(index)],
+                       ...resources.map(([, , id, data]) => [id, data]),
+                       ...chunks]);
+}
+
+const zcode = story(3, [0xBA]);
+const picture = bytes("\x89PNG odd");
+const sound = form("AIFF", [["COMM", new Uint8Array(18)]]);
+const iFiction = "<?xml version=\"1.0\" encoding=\"UTF-8\"?><ifindex version=\"1.0\"><story>" +
+  "<identification><ifid>ZCODE-1-101019</ifid><format>zcode</format></identification>" +
+  "<bibliographic><title>Tom &amp; Jerry</title><author>A. N. Other</author>" +
+  "<description>One<br/>Two &#233;&#x263a;</description></bibliographic></story></ifindex>";
+const file = blorb([["Exec", 0, "ZCOD", zcode], ["Pict", 1, "PNG ", picture], ["Snd ", 3, "FORM", sound.subarray(8)]],
+                   [["Fspc", Uint8Array.from(uint32(1))],
+                    ["RelN", Uint8Array.from([0, 5])],
+                    ["IFmd", Uint8Array.from(Buffer.from(iFiction, "utf8"))]]);
+
+test("the resources of a Blorb file are found", () => {
+  const b = new JSZM.Blorb(file);
+  assert.deepStrictEqual(b.chunks.map(x => x.id), ["RIdx", "ZCOD", "PNG ", "FORM", "Fspc", "RelN", "IFmd"]);
+  assert.deepStrictEqual(b.resources.map(x => [x.usage, x.number, x.type]),
+                         [["Exec", 0, "ZCOD"], ["Pict", 1, "PNG "], ["Snd ", 3, "FORM"]]);
+  assert.deepStrictEqual(b.executable, zcode);
+  assert.deepStrictEqual(b.getPicture(1).data, picture);
+  assert.deepStrictEqual(b.getSound(3).data, sound);
+  assert.strictEqual(b.getPicture(3), null);
+  assert.strictEqual(b.getResource("Exec", 1), null);
+});
+
+test("the information about a Blorb file is read", () => {
+  const b = new JSZM.Blorb(file.buffer);
+  assert.strictEqual(b.frontispiece, 1);
+  assert.strictEqual(b.release, 5);
+  assert.strictEqual(b.iFiction, iFiction);
+  assert.deepStrictEqual(b.metadata, {
+    ifid: "ZCODE-1-101019", format: "zcode",
+    title: "Tom & Jerry", author: "A. N. Other", description: "One\nTwo é☺"
+  });
+
+  const bare = new JSZM.Blorb(blorb([["Pict", 1, "PNG ", picture]], []));
+  assert.strictEqual(bare.executable, null);
+  assert.strictEqual(bare.frontispiece, null);
+  assert.strictEqual(bare.release, null);
+  assert.strictEqual(bare.iFiction, null);
+  assert.strictEqual(bare.metadata, null);
+});
+
+test("a game is run from the story file in a Blorb file", () => {
+  const game = new JSZM(file);
+  assert.ok(game.blorb instanceof JSZM.Blorb);
+  assert.strictEqual(game.version, 3);
+  assert.strictEqual(game.serial, "101019");
+  for (const x of game.run());
+  assert.strictEqual(new JSZM(zcode).blorb, null);
+});
+
+test("files which are not Blorb files are rejected", () => {
+  assert.throws(() => new JSZM.Blorb(zcode), /Not a Blorb file/);
+  assert.throws(() => new JSZM.Blorb(form("IFZS", [["IFhd", new Uint8Array(13)]])), /Not a Blorb file/);
+  const broken = file.slice();
+  broken[12 + 8 + 4 + 11]++;   // The offset of the story file in the resource index
+  assert.throws(() => new JSZM.Blorb(broken), /missing chunk/);
+});
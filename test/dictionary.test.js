@@ -0,0 +1,51 @@
+"use strict";
+
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+const test = require("node:test");
+const JSZM = require("../jszm");
+const story = require("./story");
+
+const praxix = new Uint8Array(fs.readFileSync(path.join(__dirname, "praxix.z5")));
+
+test("the entries of the dictionary are listed", () => {
+  const game = new JSZM(praxix);
+  const entries = game.dictionaryEntries();
+  assert.strictEqual(entries.length, 43);
+  assert.deepStrictEqual(entries.slice(0, 3).map(x => [x.word, x.address, Array.from(x.data)]),
+                         [["?", 3577, [128, 0, 0]], ["all", 3586, [128, 0, 0]], ["arith", 3595, [128, 0, 0]]]);
+  assert.ok(entries.some(x => x.word === "throwcatc"));   // Words are cut to nine characters in V4+
+  assert.deepStrictEqual(game.dictionaryEntries(game.getu(8)), entries);
+  assert.deepStrictEqual(new JSZM(story(3, [0xBA])).dictionaryEntries(), []);
+});
+
+test("words are encoded and looked up", () => {
+  const game = new JSZM(praxix);
+  const operand = game.lookupWord("operand");
+  assert.strictEqual(operand, 3820);
+  assert.deepStrictEqual(game.dictionaryKey("operand"), game.mem.slice(operand, operand + 6));
+  assert.strictEqual(game.lookupWord("OPERAND"), operand);
+  assert.strictEqual(game.lookupWord("throwcatch"), game.lookupWord("throwcatc"));
+  assert.strictEqual(game.lookupWord("operandxyz"), 0);
+  assert.strictEqual(game.lookupWord("xyzzy"), 0);
+  assert.strictEqual(game.lookupWord("help", game.getu(8)), 3721);
+
+  assert.strictEqual(game.dictionaryKey("a").length, 6);
+  assert.strictEqual(new JSZM(story(3, [0xBA])).dictionaryKey("a").length, 4);
+  // A character which is not in the alphabets is a ZSCII escape: 5, 6, then its code in two halves
+  assert.deepStrictEqual(Array.from(game.dictionaryKey("@")), [0x14, 0xC2, 0x00, 0xA5, 0x94, 0xA5]);
+});
+
+test("text is split into words as the game does", () => {
+  const game = new JSZM(praxix);
+  assert.deepStrictEqual(game.tokenizeText("quit, all.then  help"), [
+    {word: "quit", position: 0, address: 3838},
+    {word: ",", position: 4, address: 0},
+    {word: "all", position: 6, address: 3586},
+    {word: ".", position: 9, address: 0},
+    {word: "then", position: 10, address: 0},
+    {word: "help", position: 16, address: 3721}
+  ]);
+  assert.deepStrictEqual(game.tokenizeText("   "), []);
+});
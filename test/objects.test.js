@@ -0,0 +1,73 @@
+"use strict";
+
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+const test = require("node:test");
+const JSZM = require("../jszm");
+
+const praxix = new Uint8Array(fs.readFileSync(path.join(__dirname, "praxix.z5")));
+
+test("the object tree is read", () => {
+  const game = new JSZM(praxix);
+  assert.strictEqual(game.numObjects, 25);
+  assert.strictEqual(game.objectName(1), "Class");
+  assert.strictEqual(game.objectName(7), "(AllAction)");
+  assert.deepStrictEqual(game.objectChildren(1), [5]);
+  assert.strictEqual(game.objectChild(1), 5);
+  assert.strictEqual(game.objectParent(5), 1);
+  assert.strictEqual(game.objectSibling(5), 0);
+  assert.deepStrictEqual(game.objectChildren(2), []);
+  assert.deepStrictEqual(game.objectAttributes(6), [0]);
+  assert.ok(game.hasAttribute(6, 0));
+  assert.ok(!game.hasAttribute(6, 1));
+});
+
+test("the properties of an object are read", () => {
+  const game = new JSZM(praxix);
+  const properties = game.objectProperties(10);
+  assert.deepStrictEqual(properties.map(x => [x.number, x.size]), [[3, 2], [2, 2], [1, 4]]);
+  for (const x of properties.filter(x => x.size == 2))
+    assert.strictEqual(game.getProperty(10, x.number), game.getu(x.address));
+  assert.strictEqual(game.getProperty(10, 2), 5);
+  assert.strictEqual(game.getProperty(10, 4), game.getu(game.getu(10) + 6));   // The default value
+});
+
+test("the object tree is not written unless allowed", () => {
+  const game = new JSZM(praxix);
+  assert.throws(() => game.moveObject(2, 1), /not allowed/);
+  assert.throws(() => game.setAttribute(2, 3), /not allowed/);
+  assert.throws(() => game.putProperty(10, 2, 7), /not allowed/);
+  assert.deepStrictEqual(game.mem, game.memInit);
+});
+
+test("the object tree is written", () => {
+  const game = new JSZM(praxix, {allowObjectWrites: true});
+  game.moveObject(2, 1);
+  game.moveObject(3, 1);
+  assert.deepStrictEqual(game.objectChildren(1), [3, 2, 5]);
+  assert.strictEqual(game.objectParent(2), 1);
+  game.moveObject(2, 0);
+  assert.deepStrictEqual(game.objectChildren(1), [3, 5]);
+  assert.strictEqual(game.objectParent(2), 0);
+  assert.strictEqual(game.objectSibling(2), 0);
+  assert.throws(() => game.moveObject(1, 3), /inside itself/);
+
+  game.setAttribute(2, 47);
+  game.setAttribute(2, 3);
+  assert.deepStrictEqual(game.objectAttributes(2), [3, 47]);
+  game.setAttribute(2, 47, false);
+  assert.deepStrictEqual(game.objectAttributes(2), [3]);
+  assert.throws(() => game.setAttribute(2, 48), /Invalid attribute/);
+
+  game.putProperty(10, 2, 0x1234);
+  assert.strictEqual(game.getProperty(10, 2), 0x1234);
+  assert.throws(() => game.putProperty(10, 4, 1), /does not have the property/);
+});
+
+test("invalid object numbers are rejected", () => {
+  const game = new JSZM(praxix, {allowObjectWrites: true});
+  for (const f of [() => game.objectName(0), () => game.objectParent(26), () => game.getProperty(0, 1),
+                   () => game.objectProperties(26), () => game.moveObject(2, 26), () => game.hasAttribute(-1, 0)])
+    assert.throws(f, /Invalid object number/);
+});
@@ -0,0 +1,101 @@
+"use strict";
+
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+const test = require("node:test");
+const {JSDOM} = require("jsdom");
+const JSZMPlayer = require("../player");
+const story = require("./story");
+
+const praxix = new Uint8Array(fs.readFileSync(path.join(__dirname, "praxix.z5")));
+
+// A player in a new page
+function mount() {
+  const dom = new JSDOM("<div id=\"game\"></div>");
+  const player = new JSZMPlayer(dom.window.document.getElementById("game"));
+  player.press = (key) => player.input.dispatchEvent(new dom.window.KeyboardEvent("keydown", {key: key, cancelable: true}));
+  return player;
+}
+
+// Wait until the game asks for input
+async function waiting(player, type) {
+  while (player.waiting !== type)
+    await new Promise((resolve) => setTimeout(resolve, 0));
+}
+
+async function enter(player, text) {
+  await waiting(player, "line");
+  player.input.value = text;
+  player.press("Enter");
+}
+
+test("a game is played", async () => {
+  const player = mount();
+  const done = player.start(praxix, {randomSeed: 0});
+  await waiting(player, "line");
+  assert.ok(player.element.classList.contains("jszm-player"));
+  assert.match(player.main.textContent, /^\nPraxix: A Z-code interpreter unit test\n[^]*\n>$/);
+  assert.strictEqual(player.main.lastChild, player.input);
+
+  await enter(player, "operand");
+  await enter(player, "quit");
+  await done;
+  assert.strictEqual(player.waiting, null);
+  assert.ok(!player.input.isConnected);
+  assert.deepStrictEqual(Array.from(player.main.querySelectorAll(".jszm-command"), x => x.textContent), ["operand\n", "quit\n"]);
+  assert.match(player.main.textContent, />operand\nBasic operand values:[^]*Passed\.\n\n>quit\n\nGoodbye\.\n$/);
+  assert.deepStrictEqual(player.history, ["operand", "quit"]);
+});
+
+test("commands entered before are gone through with the arrow keys", async () => {
+  const player = mount();
+  const done = player.start(praxix, {randomSeed: 0});
+  await enter(player, "help");
+  await enter(player, "operand");
+  await waiting(player, "line");
+  player.press("ArrowUp");
+  assert.strictEqual(player.input.value, "operand");
+  player.press("ArrowUp");
+  player.press("ArrowUp");
+  assert.strictEqual(player.input.value, "help");
+  player.press("ArrowDown");
+  player.press("ArrowDown");
+  assert.strictEqual(player.input.value, "");
+  await enter(player, "quit");
+  await done;
+});
+
+test("the upper window and single keys are shown", async () => {
+  const player = mount();
+  const done = player.start(story(5, [
+    0xEA, 0x7F, 0x01,         // split_window 1
+    0xEB, 0x7F, 0x01,         // set_window 1
+    0xE5, 0x7F, 0x68,         // print_char 'h'
+    0xEB, 0x7F, 0x00,         // set_window 0
+    0xF6, 0x7F, 0x01, 0x00,   // read_char 1 -> sp
+    0xE5, 0xBF, 0x00,         // print_char sp
+    0xBA                      // quit
+  ]));
+  await waiting(player, "char");
+  assert.strictEqual(player.upper.textContent, "h");
+  player.press("Shift");
+  assert.strictEqual(player.waiting, "char");
+  player.press("x");
+  await done;
+  assert.strictEqual(player.main.textContent, "x");
+});
+
+test("games are saved and restored with saveFile and openFile", async () => {
+  const player = mount();
+  const files = [];
+  let restores = 0;
+  player.saveFile = (name, data) => { files.push([name, data]); };
+  player.openFile = async () => restores++ ? null : files[0][1];
+  // The code of quetzal.test.js: save, add one to global 0 and restore, until restore fails
+  await player.start(story(3, [0x0D, 0x10, 0x05, 0xB5, 0xC3, 0xBA, 0x95, 0x10, 0xB6, 0xC2, 0xBA]));
+  assert.strictEqual(files.length, 1);
+  assert.strictEqual(files[0][0], "save.qzl");
+  assert.strictEqual(restores, 2);
+  assert.strictEqual(player.game.get(0x180), 6);
+});
@@ -0,0 +1,101 @@
+"use strict";
+
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+const test = require("node:test");
+const JSZM = require("../jszm");
+const story = require("./story");
+
+// Sets global 0 to 5 and saves; if that succeeds, it increments global 0
+// and restores, which goes back to after the save, until restore fails.
+const saveAndRestore = [
+  0x0D, 0x10, 0x05,   // store g0 5
+  0xB5, 0xC3,         // save ?0x306
+  0xBA,               // quit
+  0x95, 0x10,         // inc g0
+  0xB6, 0xC2,         // restore ?0x30A
+  0xBA                // quit
+];
+
+// Runs saveAndRestore, with restore returning each of the files in turn
+function play(files, code = saveAndRestore) {
+  const game = new JSZM(story(3, code));
+  const result = {saves: [], restores: 0};
+  game.print = () => {};
+  game.save = (buf) => { result.saves.push(buf); return true; };
+  game.restore = () => files[result.restores++] || null;
+  for (const x of game.run());
+  result.global = game.get(0x180);
+  return result;
+}
+
+function chunks(buf) {
+  const text = (from, to) => String.fromCharCode(...buf.subarray(from, to));
+  const view = new DataView(buf.buffer, buf.byteOffset, buf.byteLength);
+  assert.strictEqual(text(0, 4), "FORM");
+  assert.strictEqual(text(8, 12), "IFZS");
+  const found = {};
+  for (let e = 12; e < buf.length; ) {
+    const length = view.getUint32(e + 4);
+    found[text(e, e + 4)] = buf.slice(e + 8, e + 8 + length);
+    e += 8 + length + (length & 1);
+  }
+  return found;
+}
+
+test("save writes a Quetzal file which restore continues from", () => {
+  const first = play([]);
+  assert.strictEqual(first.saves.length, 1);
+  assert.deepStrictEqual(Object.keys(chunks(first.saves[0])).sort(), ["CMem", "IFhd", "Stks"]);
+  assert.deepStrictEqual(Array.from(chunks(first.saves[0]).IFhd), [0, 1, 0x31, 0x30, 0x31, 0x30, 0x31, 0x39, 0, 0, 0, 3, 4]);
+
+  const second = play([first.saves[0]]);
+  assert.strictEqual(second.restores, 2);
+  assert.strictEqual(second.global, 6);
+});
+
+test("the stacks and call frames are kept", () => {
+  const game = new JSZM(story(3, saveAndRestore));
+  const cs = [{pc: 0x307, local: new Int16Array([3, -4]), discard: false, args: 2, ds: [7]},
+              {pc: 0x309, local: new Int16Array(15), discard: true, args: 0, ds: []}];
+  const buf = game.serialize([1, -2, 3], cs, 0x304);
+  assert.deepStrictEqual(new JSZM(story(3, saveAndRestore)).deserialize(buf), [[1, -2, 3], cs, 0x304]);
+});
+
+test("a save of another release of the story file is not restored", () => {
+  const buf = play([]).saves[0];
+  buf[20]++;   // The release number in IFhd
+  assert.strictEqual(play([buf]).restores, 1);
+});
+
+test("a save in the format of older versions of JSZM is restored", () => {
+  // Saved with the same story file by the first version of this program
+  const legacy = new Uint8Array(fs.readFileSync(path.join(__dirname, "legacy.sav")));
+  const result = play([legacy]);
+  assert.strictEqual(result.restores, 2);
+  assert.strictEqual(result.global, 6);
+});
+
+test("memory is compressed when nothing is changed", () => {
+  const game = new JSZM(story(3, saveAndRestore));
+  const buf = game.serialize([], [], 0x304);
+  assert.deepStrictEqual(Array.from(chunks(buf).CMem), [0, 255, 0, 255, 0, 255]);
+  game.mem.fill(1, 0x40, 0x300);
+  game.deserialize(buf);
+  assert.deepStrictEqual(game.mem, game.memInit);
+});
+
+test("memory is compressed when everything is changed", () => {
+  const game = new JSZM(story(3, saveAndRestore));
+  for (let i = 0x40; i < 0x300; i++)
+    game.mem[i] = i | 1;
+  const changed = game.mem.slice(0, 0x300);
+  const buf = game.serialize([], [], 0x304);
+  const cmem = chunks(buf).CMem;
+  assert.deepStrictEqual(Array.from(cmem.subarray(0, 2)), [0, 63]);   // The header
+  assert.strictEqual(cmem.length, 2 + 0x300 - 0x40);
+  game.mem.set(game.memInit.subarray(0, 0x300));
+  game.deserialize(buf);
+  assert.deepStrictEqual(game.mem.subarray(0, 0x300), changed);
+});
@@ -0,0 +1,91 @@
+"use strict";
+
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+const test = require("node:test");
+const JSZM = require("../jszm");
+const story = require("./story");
+
+const praxix = new Uint8Array(fs.readFileSync(path.join(__dirname, "praxix.z5")));
+
+// Prints three random numbers from 1 to 100
+const random = new Array(3).fill([0xE7, 0x7F, 0x64, 0x00,   // random 100 -> sp
+                                  0xE6, 0xBF, 0x00,         // print_num sp
+                                  0xBB]).flat().concat(0xBA);   // new_line
+
+// Records a game with the options, and returns what it prints and the log
+function record(file, options) {
+  const game = new JSZM(file, options);
+  let output = "";
+  game.print = (text) => { output += text; };
+  const log = game.record();
+  for (const x of game.run());
+  return {output: output, log: log};
+}
+
+test("a command log is recorded and played back", () => {
+  const game = new JSZM(praxix);
+  const commands = ["operand", "", "quit"];
+  let output = "";
+  game.print = (text) => { output += text; };
+  game.read = () => commands.shift();
+  const log = game.record();
+  assert.strictEqual(game.commandLog, log);
+  for (const x of game.run());
+
+  assert.deepStrictEqual(log.story, {release: 1, serial: "180329"});
+  assert.strictEqual(log.seed, game.randomSeed);
+  assert.deepStrictEqual(log.input, ["operand", "", "quit"]);
+  assert.match(output, /Passed\.[^]*Goodbye\./);
+  assert.strictEqual(JSZM.playback(praxix, JSON.parse(JSON.stringify(log))), output);
+});
+
+test("the random numbers are the same when a log is played back", () => {
+  const {output, log} = record(story(3, random));
+  assert.match(output, /^(\d+\n){3}$/);
+  assert.strictEqual(typeof log.seed, "number");
+  assert.strictEqual(JSZM.playback(story(3, random), log), output);
+  assert.strictEqual(record(story(3, random), {randomSeed: log.seed}).output, output);
+  assert.strictEqual(record(story(3, random), {randomSeed: 1}).log.seed, 1);
+});
+
+test("the game carries on after the log runs out", () => {
+  const log = {story: {release: 1, serial: "180329"}, seed: 0, input: ["operand"]};
+  const game = new JSZM(praxix);
+  const asked = [];
+  let output = "";
+  game.print = (text) => { output += text; };
+  game.read = () => { asked.push(output.length); return "quit"; };
+  game.replay(log);
+  for (const x of game.run());
+  assert.strictEqual(asked.length, 1);
+  assert.strictEqual(asked[0], output.indexOf("Passed.") + "Passed.\n\n>".length);
+  assert.match(output, /Goodbye\./);
+});
+
+test("saves and restores are recorded", () => {
+  const code = [0xB5, 0xC3, 0xBA, 0x95, 0x10, 0xB6, 0xC2, 0xBA];   // save, inc g0, restore, as in quetzal.test.js
+  const game = new JSZM(story(3, code));
+  let saved = null, restores = 0;
+  game.save = (buf) => { saved = buf; return true; };
+  game.restore = () => restores++ ? null : saved;
+  const log = game.record();
+  for (const x of game.run());
+  assert.deepStrictEqual(log.input.map(x => Object.keys(x)[0]), ["save", "restore", "restore"]);
+  assert.deepStrictEqual(log.input[0], {save: true});
+  assert.deepStrictEqual(Buffer.from(log.input[1].restore, "base64"), Buffer.from(saved));
+  assert.deepStrictEqual(log.input[2], {restore: null});
+
+  const replayed = new JSZM(story(3, code));
+  replayed.save = replayed.restore = () => { throw new Error("Not replayed"); };
+  replayed.replay(JSON.parse(JSON.stringify(log)));
+  for (const x of replayed.run());
+  assert.strictEqual(replayed.get(0x180), 1);
+});
+
+test("a log which does not match the game is rejected", () => {
+  assert.throws(() => new JSZM(praxix).replay({story: {release: 1, serial: "000000"}, seed: 0, input: []}),
+                /different story/);
+  assert.throws(() => JSZM.playback(praxix, {seed: 0, input: [{readChar: "y"}]}), /does not match/);
+});
@@ -0,0 +1,114 @@
+"use strict";
+
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const test = require("node:test");
+const JSZM = require("../jszm");
+const JSZMStorage = require("../storage");
+const story = require("./story");
+
+// Begins at 0x300, which adds one to global 1, saves and adds one again; or
+// at 0x308, which restores
+const saveOrRestore = [
+  0x95, 0x11,         // inc g1
+  0xB5, 0xC3,         // save ?0x305
+  0xBA,               // quit
+  0x95, 0x11,         // inc g1
+  0xBA,               // quit
+  0xB6, 0xC2,         // restore ?0x30A
+  0xBA                // quit
+];
+
+// Web Storage, as localStorage is in a browser
+class FakeWebStorage {
+  constructor() { this.items = new Map(); }
+  get length() { return this.items.size; }
+  getItem(key) { return this.items.has(key) ? this.items.get(key) : null; }
+  key(i) { return Array.from(this.items.keys())[i]; }
+  removeItem(key) { this.items.delete(key); }
+  setItem(key, value) { this.items.set(key, String(value)); }
+}
+
+const kinds = {
+  MemoryStorage: () => new JSZMStorage.MemoryStorage(),
+  FileStorage: () => new JSZMStorage.FileStorage(fs.mkdtempSync(path.join(os.tmpdir(), "jszm-"))),
+  WebStorage: () => new JSZMStorage.WebStorage(new FakeWebStorage())
+};
+
+async function play(storage, restore, options) {
+  const file = story(3, saveOrRestore);
+  if (restore)
+    file[7] = 0x08;   // The initial PC
+  const game = new JSZM(file, Object.assign({storage: storage}, options));
+  await game.runAsync();
+  return game;
+}
+
+for (const [kind, make] of Object.entries(kinds)) {
+  test(kind + " keeps slots", async () => {
+    const storage = make();
+    const data = Uint8Array.from([1, 2, 3, 0, 255]);
+    assert.strictEqual(await storage.get("a"), null);
+    await storage.set("a", data, {name: "a", score: 1});
+    await storage.set("../b", Uint8Array.from([4]), {name: "../b"});
+    await storage.set("a", data, {name: "a", score: 2});
+    data[0] = 9;
+    assert.deepStrictEqual(await storage.get("a"), {data: Uint8Array.from([1, 2, 3, 0, 255]), info: {name: "a", score: 2}});
+    assert.deepStrictEqual((await storage.list()).map(x => x.name).sort(), ["../b", "a"]);
+    await storage.delete("a");
+    await storage.delete("c");
+    assert.strictEqual(await storage.get("a"), null);
+    assert.deepStrictEqual(await storage.list(), [{name: "../b"}]);
+    if (storage.directory) {
+      assert.deepStrictEqual(fs.readdirSync(storage.directory).sort(), ["%2E.%2Fb.json", "%2E.%2Fb.qzl"]);
+      fs.rmSync(storage.directory, {recursive: true});
+    }
+  });
+
+  test(kind + " is used to save and restore games", async () => {
+    const storage = make();
+    const saved = await play(storage, false, {saveSlot: "mine"});
+    assert.strictEqual(saved.get(0x182), 2);
+    const [info] = await saved.listSaves();
+    assert.strictEqual(info.name, "mine");
+    assert.strictEqual(info.serial, "101019");
+    assert.strictEqual(info.autosave, false);
+    assert.strictEqual((await play(storage, true)).get(0x182), 0);   // The slot is not named "save"
+    assert.strictEqual((await play(storage, true, {saveSlot: "mine"})).get(0x182), 2);
+    await saved.deleteSave("mine");
+    assert.deepStrictEqual(await saved.listSaves(), []);
+    if (storage.directory)
+      fs.rmSync(storage.directory, {recursive: true});
+  });
+}
+
+test("a game is kept in the autosave slot and resumed", async () => {
+  const storage = new JSZMStorage.MemoryStorage();
+  const game = new JSZM(story(3, story.counter), {storage: storage, autosaveSlot: "auto"});
+  const commands = ["a", "b", "quit"];
+  game.print = () => {};
+  game.read = () => commands.shift();
+  for (const x of game.run());
+
+  const [info] = await game.listSaves();
+  assert.strictEqual(info.name, "auto");
+  assert.strictEqual(info.autosave, true);
+  assert.strictEqual(info.score, 3);
+  assert.deepStrictEqual([info.text, info.parse], [0x1A0, 0x1C0]);
+
+  const resumed = new JSZM(story(3, story.counter), {storage: storage});
+  assert.strictEqual(await resumed.resume("other"), false);
+  assert.strictEqual(await resumed.resume(), true);
+  let output = "", count = null;
+  resumed.print = (text) => { output += text; };
+  resumed.read = () => { count = resumed.get(0x182); return "quit"; };
+  for (const x of resumed.run());
+  assert.strictEqual(output, "");
+  assert.strictEqual(count, 3);
+
+  // The default restore does not use an autosave
+  assert.strictEqual((await play(storage, true, {saveSlot: "auto"})).get(0x182), 0);
+  assert.strictEqual(await new JSZM(story(3, [0xBA]), {storage: new JSZMStorage.MemoryStorage()}).resume(), false);
+});
@@ -0,0 +1,48 @@
+/*
+  Small story files for the tests
+  This program is in public domain.
+
+  story(version,code) returns a Uint8Array of a story file of 1024 bytes
+  with no objects and an empty dictionary, whose main routine is the code
+  (an array of bytes) at 0x300, which is also where static memory begins.
+  The global variables are at 0x180.
+
+  story.counter is the code of a game which counts turns in global 1: it
+  adds one to it, prints it and reads a line of input into the buffers at
+  0x1A0 and 0x1C0, until the line begins with "q". It works in V3 only.
+*/
+
+"use strict";
+
+function story(version, code) {
+  const mem = new Uint8Array(0x400);
+  const putWord = (address, value) => { mem[address] = value >> 8; mem[address + 1] = value; };
+  mem[0] = version;
+  putWord(2, 1);                  // Release number
+  putWord(4, 0x300);              // High memory
+  putWord(6, 0x300);              // Initial PC
+  putWord(8, 0x200);              // Dictionary
+  putWord(10, 0x100);             // Object table
+  putWord(12, 0x180);             // Global variables
+  putWord(14, 0x300);             // Static memory
+  mem.set([0x31, 0x30, 0x31, 0x30, 0x31, 0x39], 18);   // Serial number 101019
+  putWord(26, mem.length / (version < 4 ? 2 : version < 6 ? 4 : 8));
+  mem[0x201] = 7;                 // Length of dictionary entries
+  mem.set(code, 0x300);
+  return mem;
+}
+
+story.counter = [
+  0xE2, 0x17, 0x01, 0xA0, 0x00, 0x14,   // storeb 0x1A0 0 20
+  0xE2, 0x17, 0x01, 0xC0, 0x00, 0x04,   // storeb 0x1C0 0 4
+  0x95, 0x11,                           // inc g1
+  0xE6, 0xBF, 0x11,                     // print_num g1
+  0xBB,                                 // new_line
+  0xE4, 0x0F, 0x01, 0xA0, 0x01, 0xC0,   // sread 0x1A0 0x1C0
+  0xD0, 0x1F, 0x01, 0xA0, 0x01, 0x00,   // loadb 0x1A0 1 -> sp
+  0xC1, 0x9F, 0x00, 0x71, 0xC5,         // je sp 'q' ?0x326
+  0x8C, 0xFF, 0xE8,                     // jump 0x30C
+  0xBA                                  // quit
+];
+
+module.exports = story;
@@ -0,0 +1,63 @@
+"use strict";
+
+const assert = require("assert");
+const test = require("node:test");
+const JSZM = require("../jszm");
+const story = require("./story");
+
+// Runs the counter game, calling each of the functions in turn instead of
+// read, and returns what it prints
+function play(game, inputs) {
+  let output = "";
+  game.print = (text) => { output += text; };
+  game.read = () => inputs.shift()(game);
+  for (const x of game.run());
+  return output;
+}
+
+test("the turns are kept in the timeline", () => {
+  const game = new JSZM(story(3, story.counter), {historySize: 3});
+  const turns = [];
+  const keep = (command) => (game) => { turns.push(game.listTurns()); return command; };
+  play(game, [keep("a"), keep("b"), keep("c"), keep("d"), keep("quit")]);
+  assert.deepStrictEqual(turns[0], [{turn: 1, command: null}]);
+  assert.deepStrictEqual(turns[2], [{turn: 1, command: "a"}, {turn: 2, command: "b"}, {turn: 3, command: null}]);
+  assert.deepStrictEqual(turns[4], [{turn: 3, command: "c"}, {turn: 4, command: "d"}, {turn: 5, command: null}]);
+  assert.deepStrictEqual(new JSZM(story(3, story.counter)).listTurns(), []);
+});
+
+test("the game is rewound", () => {
+  const game = new JSZM(story(3, story.counter), {historySize: 10});
+  const counts = [];
+  const count = (command) => (game) => { counts.push(game.get(0x182)); return command; };
+  const log = game.record();
+  const output = play(game, [count("a"), count("b"), count("c"),
+                             (game) => { assert.ok(game.rewind(2)); return "ignored"; },
+                             count("x"), count("y"),
+                             (game) => { assert.ok(!game.rewind(5)); assert.ok(!game.rewind(0)); return "quit"; }]);
+  assert.deepStrictEqual(counts, [1, 2, 3, 2, 3]);
+  assert.strictEqual(output, "1\n2\n3\n4\n3\n4\n");
+  assert.deepStrictEqual(game.listTurns().map(x => x.command), ["a", "x", "y", "quit"]);
+  assert.deepStrictEqual(log.input, ["a", "x", "y", "quit"]);
+});
+
+test("a game is forked from a turn", () => {
+  const game = new JSZM(story(3, story.counter), {historySize: 10, randomSeed: 7, screenWidth: 40});
+  const log = game.record();
+  play(game, [() => "a", () => "b", () => "c", () => "quit"]);
+  assert.throws(() => game.fork(9), /not in the timeline/);
+
+  const fork = game.fork(2);
+  assert.strictEqual(fork.randomSeed, 7);
+  assert.strictEqual(fork.screenWidth, 40);
+  assert.strictEqual(fork.historySize, 10);
+  assert.deepStrictEqual(fork.listTurns(), [{turn: 1, command: "a"}, {turn: 2, command: null}]);
+  assert.deepStrictEqual(fork.commandLog.input, ["a"]);
+  let count = null;
+  const output = play(fork, [(fork) => { count = fork.get(0x182); return "z"; }, () => "quit"]);
+  assert.strictEqual(count, 2);
+  assert.strictEqual(output, "3\n");
+  assert.deepStrictEqual(fork.commandLog.input, ["a", "z", "quit"]);
+  assert.deepStrictEqual(log.input, ["a", "b", "c", "quit"]);
+  assert.strictEqual(game.get(0x182), 4);
+});
@@ -0,0 +1,96 @@
+"use strict";
+
+const assert = require("assert");
+const test = require("node:test");
+const JSZM = require("../jszm");
+const story = require("./story");
+
+const code = [
+  0x0E, 0x01, 0x02,                     // insert_obj 1 2
+  0x0B, 0x01, 0x05,                     // set_attr 1 5
+  0x0B, 0x01, 0x05,                     // set_attr 1 5
+  0x0C, 0x01, 0x05,                     // clear_attr 1 5
+  0x0C, 0x01, 0x06,                     // clear_attr 1 6
+  0x99, 0x01,                           // remove_obj 1
+  0x0D, 0x11, 0x07,                     // store g1 7
+  0x0D, 0x11, 0x07,                     // store g1 7
+  0xE1, 0x17, 0x01, 0x80, 0x01, 0x09,   // storew 0x180 1 9
+  0x0E, 0x03, 0x02,                     // insert_obj 3 2
+  0xBA                                  // quit
+];
+
+// A story file with three objects, which have no properties and no names
+function objects(code) {
+  const file = story(3, code);
+  for (let i = 0; i < 3; i++)
+    file.set([0x01, 0x60], 0x13E + i * 9 + 7);
+  return file;
+}
+
+// Runs a game and returns the changes which each of the watchers see,
+// leaving out the pc
+function watch(file, add) {
+  const game = new JSZM(file);
+  const seen = [];
+  for (const [i, f] of add.entries()) {
+    seen.push([]);
+    f(game, ({pc, ...change}) => seen[i].push(change));
+  }
+  game.print = () => {};
+  for (const x of game.run());
+  return seen;
+}
+
+test("the moves of objects are seen", () => {
+  const [one, any] = watch(objects(code), [(game, f) => game.watchObject(1, f), (game, f) => game.watchObject(null, f)]);
+  assert.deepStrictEqual(one, [{type: "move", object: 1, previous: 0, value: 2, turn: 0},
+                               {type: "move", object: 1, previous: 2, value: 0, turn: 0}]);
+  assert.deepStrictEqual(any.map(x => [x.object, x.value]), [[1, 2], [1, 0], [3, 2]]);
+});
+
+test("the changes of attributes are seen", () => {
+  const [five, six, any] = watch(objects(code), [(game, f) => game.watchAttribute(1, 5, f),
+                                                    (game, f) => game.watchAttribute(1, 6, f),
+                                                    (game, f) => game.watchAttribute(null, null, f)]);
+  assert.deepStrictEqual(five, [{type: "attribute", object: 1, attribute: 5, previous: false, value: true, turn: 0},
+                                {type: "attribute", object: 1, attribute: 5, previous: true, value: false, turn: 0}]);
+  assert.deepStrictEqual(six, []);
+  assert.strictEqual(any.length, 2);
+});
+
+test("the changes of global variables are seen", () => {
+  const [one, two] = watch(objects(code), [(game, f) => game.watchGlobal(1, f), (game, f) => game.watchGlobal(2, f)]);
+  assert.deepStrictEqual(one, [{type: "global", number: 1, previous: 0, value: 7, turn: 0},
+                               {type: "global", number: 1, previous: 7, value: 9, turn: 0}]);
+  assert.deepStrictEqual(two, []);
+});
+
+test("the pc and the turn of a change are given", () => {
+  const game = new JSZM(story(3, story.counter));
+  const commands = ["a", "b", "quit"];
+  const seen = [];
+  game.watchGlobal(1, (change) => seen.push([change.pc, change.turn, change.value]));
+  game.print = () => {};
+  game.read = () => commands.shift();
+  for (const x of game.run());
+  assert.deepStrictEqual(seen, [[0x30C, 0, 1], [0x30C, 1, 2], [0x30C, 2, 3]]);
+});
+
+test("watchers are added and removed", () => {
+  const game = new JSZM(objects(code), {allowObjectWrites: true});
+  assert.strictEqual(game.watchers, null);
+  const seen = [];
+  const w = game.watchObject(1, (change) => seen.push(change));
+  assert.deepStrictEqual(w, {type: "move", object: 1, callback: w.callback});
+  const g = game.watchGlobal(1, () => assert.fail("Removed"));
+  assert.deepStrictEqual(game.watchers, [w, g]);
+  game.unwatch(g);
+  assert.deepStrictEqual(game.watchers, [w]);
+  game.moveObject(1, 3);   // Changes which are not made by the game are not seen
+  assert.deepStrictEqual(seen, []);
+  game.print = () => {};
+  for (const x of game.run());
+  assert.strictEqual(seen.length, 2);
+  game.unwatch(w);
+  assert.strictEqual(game.watchers, null);
+});
@@ -0,0 +1,61 @@
+"use strict";
+
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+const test = require("node:test");
+const JSZM = require("../jszm");
+const JSZMWorker = require("../worker");
+
+const praxix = new Uint8Array(fs.readFileSync(path.join(__dirname, "praxix.z5")));
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test("a game is run in a worker", async () => {
+  const game = new JSZMWorker(praxix, {randomSeed: 1});
+  const commands = ["operand", "quit"];
+  let output = "";
+  game.print = (text) => { output += text; };
+  game.read = async (maxlen) => { assert.ok(maxlen > 0); await delay(1); return commands.shift(); };
+  await game.runAsync();
+  assert.strictEqual(output, JSZM.playback(praxix, {seed: 1, input: ["operand", "quit"]}));
+  assert.match(output, /Passed\.[^]*Goodbye\.\n$/);
+  assert.strictEqual(game.version, 5);
+  assert.strictEqual(game.zorkid, 1);
+  assert.strictEqual(game.worker, null);
+});
+
+test("errors are passed on from the worker", async () => {
+  const game = new JSZMWorker(praxix, {instructionLimit: 100});
+  game.print = () => {};
+  await assert.rejects(game.runAsync(), (e) => e instanceof JSZM.InstructionLimitError && e.pc > 0);
+
+  const failing = new JSZMWorker(praxix);
+  failing.print = () => {};
+  failing.read = () => { throw new TypeError("No input"); };
+  await assert.rejects(failing.runAsync(), {name: "TypeError", message: "No input"});
+});
+
+test("the worker is terminated while a hook is pending", async () => {
+  const game = new JSZMWorker(praxix);
+  let reads = 0;
+  game.print = () => {};
+  game.read = () => { reads++; game.terminate(); return delay(10).then(() => "quit"); };
+  await game.runAsync();
+  await delay(50);   // The result of read comes after the worker has stopped
+  assert.strictEqual(reads, 1);
+  assert.strictEqual(game.worker, null);
+});
+
+test("the game is aborted while a hook is pending", async () => {
+  const controller = new AbortController();
+  const game = new JSZMWorker(praxix, {signal: controller.signal});
+  let reads = 0;
+  game.print = () => {};
+  game.read = () => { reads++; controller.abort(new Error("Stopped")); return delay(10).then(() => "quit"); };
+  await assert.rejects(game.runAsync(), {message: "Stopped"});
+  await delay(50);
+  assert.strictEqual(reads, 1);
+  assert.strictEqual(game.worker, null);
+
+  await assert.rejects(new JSZMWorker(praxix, {signal: controller.signal}).runAsync(), {message: "Stopped"});
+});
@@ -0,0 +1,13 @@
+export interface TranscriptOptions {
+    /** The seed for the random number generator. The default is 0. */
+    seed?: number;
+}
+
+/**
+ * Compares two strings line by line, and returns a listing of the differences in the style of a unified diff, or an
+ * empty string if they are the same.
+ */
+export function diff(expected: string, actual: string): string;
+
+/** Runs a story file with an array of commands, and returns everything it printed. */
+export function runTranscript(story: ArrayLike<number>, commands: string[], options?: TranscriptOptions): string;
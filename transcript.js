@@ -0,0 +1,184 @@
+/*
+  Transcript test runner for JSZM
+  This program is in public domain.
+
+  Documentation:
+
+  From the command line:
+
+    node transcript.js [--update] [--seed=number] [--skip-missing] storyfile script...
+
+  runs the story file once for each script, and compares everything it
+  prints with a golden transcript, which is in a file with the same name
+  as the script but with the extension .golden instead. The differences
+  are shown if they are not the same. The exit code is 1 if any of them
+  differ or if a golden transcript is missing, or 0 otherwise. With
+  --update, the golden transcripts are written instead.
+
+  If the story file is not found, it is looked for in the directory named
+  by the environment variable JSZM_STORIES. Only test/praxix.z5 (which is
+  in public domain) is kept with the scripts, so with --skip-missing, a
+  story file which is not found is skipped with a warning, and the exit
+  code is 0 instead of it being an error. This is how npm test runs the
+  scripts of the other story files in the test directory.
+
+  A script is a text file with one command on each line, which are given
+  to the game in order; a blank line is an empty command, and lines
+  starting with # are ignored. Each command is also copied into the
+  transcript after the prompt. If the game asks for a single key, the
+  first character of the next line is used (or Enter if it is blank). The
+  game may save and restore, in memory. It runs until the script runs out
+  or the game ends. The random number generator is seeded with 0, or the
+  number given with --seed, so that games with random events give the
+  same transcript each time. A script can also be a command log in JSON
+  format (see JSZM.record), which is replayed with its own seed instead.
+
+  As a module, it exports these functions:
+
+  .diff(expected,actual) = Compare two strings line by line, and return a
+  listing of the differences in the style of a unified diff, or an empty
+  string if they are the same.
+
+  .runTranscript(story,commands,options) = Run a story file (a Uint8Array)
+  with an array of commands, and return everything it printed. If
+  options.seed is set, the random number generator is seeded with it.
+*/
+
+"use strict";
+
+const JSZM = require("./jszm.js");
+
+function runTranscript(story, commands, options = {}) {
+  class EndOfScript {}
+  const game = new JSZM(story, {randomSeed: options.seed || 0});
+  let output = "", saved = null, line = 0;
+  const next = () => {
+    if (line >= commands.length)
+      throw new EndOfScript();
+    return commands[line++];
+  };
+  game.print = (text) => { output += text; };
+  game.read = () => {
+    const command = next();
+    output += command + "\n";
+    return command;
+  };
+  game.readChar = () => next()[0] || "\n";
+  game.save = (data) => {
+    saved = data;
+    return true;
+  };
+  game.restore = () => saved;
+  try {
+    for (const _ of game.run());
+  } catch (e) {
+    if (!(e instanceof EndOfScript))
+      throw e;
+  }
+  return output;
+}
+
+function diff(expected, actual) {
+  if (expected === actual)
+    return "";
+  const a = expected.split("\n"), b = actual.split("\n");
+
+  // Only the lines between the common beginning and end need comparing
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start])
+    start++;
+  let endA = a.length, endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+  const n = endA - start, m = endB - start;
+
+  // Longest common subsequence of the remaining lines, unless there are too many
+  const edits = [];
+  if (n * m <= 4000000) {
+    const lcs = Array.from({length: n + 1}, () => new Uint16Array(m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--)
+        lcs[i][j] = a[start + i] === b[start + j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+    let i = 0, j = 0;
+    while (i < n || j < m) {
+      if (i < n && j < m && a[start + i] === b[start + j]) {
+        edits.push([" ", a[start + i++]]);
+        j++;
+      } else if (i < n && (j == m || lcs[i + 1][j] >= lcs[i][j + 1])) {
+        edits.push(["-", a[start + i++]]);
+      } else {
+        edits.push(["+", b[start + j++]]);
+      }
+    }
+  } else {
+    edits.push(...a.slice(start, endA).map(x => ["-", x]), ...b.slice(start, endB).map(x => ["+", x]));
+  }
+
+  // Show each group of changes with up to three lines of context around it
+  const all = [...a.slice(0, start).map(x => [" ", x]), ...edits, ...a.slice(endA).map(x => [" ", x])];
+  let result = "--- expected\n+++ actual\n";
+  for (let i = 0; i < all.length; ) {
+    if (all[i][0] === " ") {
+      i++;
+      continue;
+    }
+    let first = Math.max(0, i - 3), last = i;
+    while (last < all.length && all.slice(last, last + 7).some(x => x[0] !== " "))
+      last++;
+    last = Math.min(all.length, last + 3);
+    const count = (lines, sign) => lines.filter(x => x[0] !== sign).length;
+    const hunk = all.slice(first, last);
+    result += "@@ -" + (count(all.slice(0, first), "+") + 1) + "," + count(hunk, "+") +
+              " +" + (count(all.slice(0, first), "-") + 1) + "," + count(hunk, "-") + " @@\n" +
+              hunk.map(x => x[0] + x[1] + "\n").join("");
+    i = last;
+  }
+  return result;
+}
+
+if (typeof require !== "undefined" && require.main === module) {
+  const fs = require("fs");
+  const args = process.argv.slice(2);
+  const update = args.includes("--update");
+  const seedArg = args.find(x => x.startsWith("--seed="));
+  const [storyArg, ...scripts] = args.filter(x => !x.startsWith("--"));
+  if (!storyArg || !scripts.length) {
+    process.stderr.write("Usage: node transcript.js [--update] [--seed=number] [--skip-missing] storyfile script...\n");
+    process.exit(2);
+  }
+  const storyFile = [storyArg, process.env.JSZM_STORIES && require("path").join(process.env.JSZM_STORIES, storyArg)]
+    .find(x => x && fs.existsSync(x));
+  if (!storyFile && args.includes("--skip-missing")) {
+    process.stderr.write("WARNING: " + scripts.join(" ") + " is not tested, because " + storyArg +
+                         " is not found; set JSZM_STORIES to the directory of the story files\n");
+    process.exit(0);
+  }
+  const story = new Uint8Array(fs.readFileSync(storyFile || storyArg));
+  let failed = 0;
+  for (const script of scripts) {
+    const text = fs.readFileSync(script, "utf8");
+    const actual = text.trimStart().startsWith("{") ?
+      JSZM.playback(story, JSON.parse(text)) :
+      runTranscript(story, text.split(/\r?\n/).filter((x, i, lines) => !x.startsWith("#") && (x || i < lines.length - 1)),
+                    {seed: seedArg ? +seedArg.slice(7) : 0});
+    const golden = script.replace(/(\.[^./\\]*)?$/, ".golden");
+    if (update) {
+      fs.writeFileSync(golden, actual);
+      process.stdout.write("Updated " + golden + "\n");
+    } else if (!fs.existsSync(golden)) {
+      process.stdout.write("FAIL " + script + ": " + golden + " is missing (use --update to create it)\n");
+      failed++;
+    } else {
+      const differences = diff(fs.readFileSync(golden, "utf8").replace(/\r\n/g, "\n"), actual);
+      process.stdout.write((differences ? "FAIL " : "ok   ") + script + "\n" + differences);
+      if (differences)
+        failed++;
+    }
+  }
+  process.exit(failed ? 1 : 0);
+}
+
+module.exports = {diff: diff, runTranscript: runTranscript};
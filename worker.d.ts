@@ -0,0 +1,85 @@
+import JSZM = require("./index");
+
+/** A hook of the game in the worker, which may be a normal or async function. */
+type WorkerHook<Args extends any[], Result = void> = ((...args: Args) => Result | Promise<Result>) | null;
+
+/** A proxy in the main thread for a game which runs in a worker thread (worker_threads in Node, a Web Worker in a browser). */
+declare class JSZMWorker {
+    /** Creates a proxy for a story file. The properties of the options are copied to the new instance. */
+    constructor(story: Uint8Array, options?: Partial<JSZMWorker>);
+
+    eraseLine: WorkerHook<[number]>;
+    eraseWindow: WorkerHook<[number]>;
+    getCursor: WorkerHook<[], number[]>;
+    highlight: WorkerHook<[boolean]>;
+    print: WorkerHook<[string, boolean]>;
+    printCommand: WorkerHook<[string]>;
+    printTranscript: WorkerHook<[string]>;
+    read: WorkerHook<[number], string | null>;
+    readChar: WorkerHook<[], string | number | null>;
+    restarted: WorkerHook<[]>;
+    restore: WorkerHook<[], Uint8Array | null>;
+    save: WorkerHook<[Uint8Array], boolean>;
+    screen: WorkerHook<[number]>;
+    setCursor: WorkerHook<[number, number]>;
+    setTextStyle: WorkerHook<[number]>;
+    split: WorkerHook<[number]>;
+    updateStatusLine: WorkerHook<[string, number, number]>;
+
+    /** Called without waiting for it. */
+    memoryViolation: ((pc: number, address: number, region: "header" | "static" | "high") => void) | null;
+
+    /** Called without waiting for it. The default writes the message with console.warn. */
+    warn(error: JSZM.ZMachineError): void;
+
+    /** Given to the game when it is started. */
+    errorPolicy: {[name: string]: "throw" | "warn" | "ignore"};
+    instructionLimit: number | null;
+    isTandy: boolean;
+    randomSeed: number | null;
+    screenHeight: number;
+    screenWidth: number;
+    strictMemory: boolean;
+    timeLimit: number | null;
+    yieldInterval: number | null;
+
+    /** When it is aborted, the worker is stopped and the Promise returned by runAsync is rejected with its reason. */
+    signal: AbortSignal | null;
+
+    /** Copied from the game as it runs; 0 or false until then. */
+    readonly statusType: boolean;
+    readonly version: number;
+    readonly window: number;
+    readonly zorkid: number;
+
+    /**
+     * Starts the worker and runs the game. The Promise is resolved when the game ends, and rejected if an error occurs, in
+     * the game or in a hook.
+     */
+    runAsync(): Promise<void>;
+
+    /** Stops the worker. The Promise returned by runAsync is resolved. */
+    terminate(): void;
+
+    /** In a browser, the URL which the worker is started with. */
+    workerURL: string;
+}
+
+declare namespace JSZMWorker {
+    /** The messages between the threads. */
+    type Message =
+        {type: "start"; story: Uint8Array; options: Partial<JSZM>; hooks: string[]} |
+        {type: "started"; statusType: boolean; version: number; zorkid: number} |
+        {type: "hook"; id: number | null; name: string; args: any[]; window: number} |
+        {type: "result"; id: number; value?: any; error?: ErrorData} |
+        {type: "end"; error?: ErrorData};
+
+    /** An error as it is sent between the threads. */
+    interface ErrorData {
+        name: string;
+        message: string;
+        [property: string]: any;
+    }
+}
+
+export = JSZMWorker;
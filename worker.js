@@ -0,0 +1,256 @@
+/*
+  Worker thread wrapper for JSZM
+  This program is in public domain.
+
+  Documentation:
+
+  The interpreter runs the game synchronously between calls to the
+  hooks, so a long routine in a game can hold up everything else. This
+  file runs a game in a worker thread instead (worker_threads in Node, a
+  Web Worker in a browser), and defines the class JSZMWorker, which is a
+  proxy for it in the main thread. Load jszm.js and then this file with
+  script elements, or require it as a CommonJS module:
+
+    const game = new JSZMWorker(story);
+    game.print = (text) => ...;
+    game.read = async (maxlen) => ...;
+    await game.runAsync();
+
+  The constructor takes the story file (a Uint8Array) and optionally an
+  object whose properties are copied to the new instance, like the JSZM
+  constructor. In a browser, the worker is started with the URL of this
+  file; if that cannot be found, set workerURL.
+
+  The proxy has the same hooks as JSZM instances: eraseLine, eraseWindow,
+  getCursor, highlight, print, printCommand, printTranscript, read,
+  readChar, restarted, restore, save, screen, setCursor, setTextStyle,
+  split and updateStatusLine, which are normally null and may be normal
+  or async functions (not generator functions), and memoryViolation and
+  warn, which are called without waiting for them. The hooks which are
+  null are left as they are in the worker. They are called with the same
+  arguments, and their results are sent back to the game. The properties
+  errorPolicy, instructionLimit, isTandy, randomSeed, screenHeight,
+  screenWidth, strictMemory, timeLimit and yieldInterval are given to the
+  game when it is started, and statusType, version, window and zorkid are
+  copied from it as it runs (they are 0 or false until then). Nothing
+  else, such as the memory, is available in the main thread.
+
+  Properties of JSZMWorker instances, besides those, are:
+
+  .runAsync() = A normal function which starts the worker and runs the
+  game. It returns a Promise which is resolved when the game ends, and
+  rejected if an error occurs, in the game or in a hook. Errors from the
+  worker are rebuilt in the main thread with the same class (Error or a
+  JSZM.ZMachineError class) and properties, except that the callStack of
+  a JSZM.ZMachineError is plain data.
+
+  .signal = Normally null. Set it to an AbortSignal to be able to stop
+  the game. When it is aborted, the worker is stopped and the Promise
+  returned by runAsync is rejected with the signal's reason.
+
+  .terminate() = A normal function which stops the worker. The Promise
+  returned by runAsync is resolved.
+
+  .workerURL = In a browser, the URL which the worker is started with.
+
+  The messages between the threads are plain objects, which can be
+  copied by postMessage:
+
+    {type: "start", story, options, hooks}
+      The main thread starts the game. The options are given to the JSZM
+      constructor, and hooks is an array of the names of the hooks which
+      are passed on to the main thread.
+
+    {type: "started", statusType, version, zorkid}
+      The worker has created the JSZM instance.
+
+    {type: "hook", id, name, args, window}
+      The game called a hook. Unless id is null, the worker waits for a
+      result message with the same id.
+
+    {type: "result", id, value, error}
+      The main thread's result of a hook, or the error which it threw.
+
+    {type: "end", error}
+      The game has ended, with an error if it was thrown.
+
+  Errors are sent as objects with the properties name and message, and
+  all of their other own properties.
+*/
+
+"use strict";
+
+// The JSZM class is a global variable if jszm.js is loaded with a script element or importScripts
+if (typeof JSZM === "undefined" && typeof importScripts === "function")
+  importScripts("jszm.js");
+const WorkerJSZM = typeof JSZM !== "undefined" ? JSZM : require("./jszm.js");
+
+// Hooks which the game waits for, and which it only reports to
+const workerHooks = ["eraseLine", "eraseWindow", "getCursor", "highlight", "print", "printCommand", "printTranscript",
+                     "read", "readChar", "restarted", "restore", "save", "screen", "setCursor", "setTextStyle", "split",
+                     "updateStatusLine"];
+const workerNotifications = ["memoryViolation", "warn"];
+
+// Properties which are given to the game in the worker, and copied back from it
+const workerSettings = ["errorPolicy", "instructionLimit", "isTandy", "randomSeed", "screenHeight", "screenWidth",
+                        "strictMemory", "timeLimit", "yieldInterval"];
+const workerState = ["statusType", "version", "zorkid"];
+
+// The URL of this file, to start a Web Worker with
+const workerScript = typeof document !== "undefined" && document.currentScript ? document.currentScript.src : "worker.js";
+
+function errorData(error) {
+  if (!(error instanceof Error))
+    return {name: "Error", message: String(error)};
+  return Object.assign({name: error.name, message: error.message, stack: error.stack}, error);
+}
+
+function rebuildError(data) {
+  const ErrorClass = WorkerJSZM[data.name] && WorkerJSZM[data.name].prototype instanceof Error ? WorkerJSZM[data.name] : Error;
+  const error = new Error(data.message);
+  Object.setPrototypeOf(error, ErrorClass.prototype);
+  return Object.assign(error, data);
+}
+
+// In the worker: run a game for the main thread, which sends and receives messages through post and listen
+function serveGame(post, listen) {
+  const waiting = new Map();
+  let nextId = 0;
+  listen((message) => {
+    if (message.type == "start") {
+      let game;
+      try {
+        game = new WorkerJSZM(message.story, message.options);
+      } catch (e) {
+        return post({type: "end", error: errorData(e)});
+      }
+      for (const name of message.hooks) {
+        if (workerNotifications.includes(name)) {
+          game[name] = (...args) => post({type: "hook", id: null, name: name, args: args.map(x => x instanceof Error ? errorData(x) : x), window: game.window});
+          continue;
+        }
+        game[name] = (...args) => new Promise((resolve, reject) => {
+          const id = nextId++;
+          waiting.set(id, {resolve: resolve, reject: reject});
+          post({type: "hook", id: id, name: name, args: args, window: game.window});
+        });
+      }
+      post({type: "started", statusType: game.statusType, version: game.version, zorkid: game.zorkid});
+      game.runAsync().then(() => post({type: "end"}), (e) => post({type: "end", error: errorData(e)}));
+    } else if (message.type == "result") {
+      const {resolve, reject} = waiting.get(message.id);
+      waiting.delete(message.id);
+      if (message.error)
+        reject(rebuildError(message.error));
+      else
+        resolve(message.value);
+    }
+  });
+}
+
+class JSZMWorker {
+  constructor(story, options) {
+    this.errorPolicy = {InvalidObjectError: "ignore"};
+    this.instructionLimit = null;
+    this.isTandy = false;
+    this.memoryViolation = null;
+    this.randomSeed = null;
+    this.screenHeight = 24;
+    this.screenWidth = 80;
+    this.signal = null;
+    this.statusType = false;
+    this.stopped = null;
+    this.story = story;
+    this.strictMemory = false;
+    this.timeLimit = null;
+    this.version = 0;
+    this.window = 0;
+    this.worker = null;
+    this.workerURL = workerScript;
+    this.yieldInterval = null;
+    this.zorkid = 0;
+    for (const name of workerHooks)
+      this[name] = null;
+    Object.assign(this, options);
+  }
+  runAsync() {
+    const signal = this.signal;
+    let abort = null;
+    return new Promise((resolve, reject) => {
+      const receive = (message) => {
+        if (message.type == "started") {
+          for (const name of workerState)
+            this[name] = message[name];
+        } else if (message.type == "hook") {
+          this.window = message.window;
+          if (message.id === null)
+            return this[message.name](...(message.name == "warn" ? [rebuildError(message.args[0])] : message.args));
+          new Promise((done) => done(this[message.name](...message.args))).then(
+            (value) => post({type: "result", id: message.id, value: value}),
+            (e) => post({type: "result", id: message.id, error: errorData(e)}));
+        } else if (message.type == "end") {
+          if (message.error)
+            reject(rebuildError(message.error));
+          this.terminate();
+        }
+      };
+      const failed = (e) => {
+        reject(e);
+        this.terminate();
+      };
+      if (signal) {
+        if (signal.aborted)
+          return reject(signal.reason);
+        abort = () => failed(signal.reason);
+        signal.addEventListener("abort", abort, {once: true});
+      }
+      // Results of hooks which settle after the worker is stopped are dropped
+      const post = (message) => {
+        if (this.worker)
+          this.worker.postMessage(message);
+      };
+      if (typeof Worker === "undefined") {
+        const threads = require("worker_threads");
+        this.worker = new threads.Worker(__filename, {workerData: "JSZM"});
+        this.worker.on("message", receive);
+        this.worker.on("error", failed);
+      } else {
+        this.worker = new Worker(this.workerURL);
+        this.worker.onmessage = (event) => receive(event.data);
+        this.worker.onerror = (event) => failed(new Error(event.message));
+      }
+      this.stopped = resolve;
+      const options = {};
+      for (const name of workerSettings)
+        options[name] = this[name];
+      const hooks = workerHooks.concat(workerNotifications).filter(name => this[name]);
+      post({type: "start", story: this.story, options: options, hooks: hooks});
+    }).finally(() => {
+      if (abort)
+        signal.removeEventListener("abort", abort);
+    });
+  }
+  terminate() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+      this.stopped();
+    }
+  }
+  warn(error) {
+    if (typeof console !== "undefined")
+      console.warn(error.message);
+  }
+}
+
+if (typeof importScripts === "function" && typeof document === "undefined") {
+  serveGame((message) => self.postMessage(message), (receive) => { self.onmessage = (event) => receive(event.data); });
+} else if (typeof require !== "undefined") {
+  const threads = require("worker_threads");
+  if (!threads.isMainThread && threads.workerData === "JSZM")
+    serveGame((message) => threads.parentPort.postMessage(message), (receive) => threads.parentPort.on("message", receive));
+}
+
+try {
+  if(module && module.exports) module.exports=JSZMWorker;
+} catch(e) {}